@@ -0,0 +1,183 @@
+/**
+ * Action Item Tracker
+ * Action items from meeting summaries, kept as records so they can be followed up across meetings.
+ * Each guild has its own file in DATA_DIR/Actions/<guildId>.json:
+ *   {
+ *     "nextId": 13,
+ *     "items": [{
+ *       "id": 12, "text": "…", "owner": "Alice" or null, "ownerId": "<Discord user ID>" or null,
+ *       "channelId", "channelName", "meetingId", "meetingDate",
+ *       "dueDate": "YYYY-MM-DD" or null,
+ *       "status": "open" | "done",
+ *       "createdAt", "completedAt", "completedBy"
+ *     }]
+ *   }
+ * IDs are numbered per guild and never reused. Items are listed, completed and reassigned with /actions;
+ * a channel's open items are given to the summary of its next meeting.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const ACTIONS_FOLDER = path.join(DATA_DIR, 'Actions');
+
+// Ensure folder exists
+if (!fs.existsSync(ACTIONS_FOLDER)) fs.mkdirSync(ACTIONS_FOLDER, { recursive: true });
+
+/**
+ * Path of a guild's action item file
+ */
+function getActionsPath(guildId) {
+    return path.join(ACTIONS_FOLDER, `${path.basename(guildId)}.json`);
+}
+
+/**
+ * Load a guild's action items
+ * @returns {{nextId: number, items: Object[]}} The guild's tracker
+ */
+function loadTracker(guildId) {
+    const actionsPath = getActionsPath(guildId);
+    if (!fs.existsSync(actionsPath)) return { nextId: 1, items: [] };
+
+    try {
+        const tracker = JSON.parse(fs.readFileSync(actionsPath, 'utf8'));
+        return { nextId: tracker.nextId || 1, items: tracker.items || [] };
+    } catch (error) {
+        // Don't start over: that would reuse IDs and overwrite the file
+        throw new Error(`Action items for guild ${guildId} are unreadable: ${error.message}`);
+    }
+}
+
+/**
+ * Write a guild's action items atomically
+ */
+function saveTracker(guildId, tracker) {
+    const actionsPath = getActionsPath(guildId);
+    const tempPath = `${actionsPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(tracker, null, 2));
+    fs.renameSync(tempPath, actionsPath);
+}
+
+/**
+ * Start tracking a meeting's action items
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} meeting - Where the items come from
+ * @param {string} meeting.meetingId - Meeting ID
+ * @param {string} meeting.channelId - Voice channel ID
+ * @param {string} meeting.channelName - Voice channel name
+ * @param {number} meeting.startedAt - Meeting start in epoch ms
+ * @param {Array<{text: string, owner: string|null, ownerId: string|null, dueDate: string|null}>} items - New items
+ * @returns {Object[]} The created items, with their IDs
+ */
+function addActionItems(guildId, { meetingId, channelId, channelName, startedAt }, items) {
+    const tracker = loadTracker(guildId);
+    const createdAt = new Date().toISOString();
+
+    const created = items.map(({ text, owner, ownerId, dueDate }) => ({
+        id: tracker.nextId++,
+        text,
+        owner: owner || null,
+        ownerId: ownerId || null,
+        channelId,
+        channelName,
+        meetingId,
+        meetingDate: new Date(startedAt).toISOString(),
+        dueDate: dueDate || null,
+        status: 'open',
+        createdAt,
+        completedAt: null,
+        completedBy: null
+    }));
+
+    tracker.items.push(...created);
+    saveTracker(guildId, tracker);
+    return created;
+}
+
+/**
+ * List a guild's action items
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} [filter]
+ * @param {string} [filter.channelId] - Only items from this voice channel's meetings
+ * @param {{id: string, names: string[]}} [filter.owner] - Only items owned by this user: assigned to
+ *        their user ID, or (for items whose owner couldn't be matched to a user) to one of their names
+ * @param {string} [filter.status] - Only "open" or "done" items
+ * @returns {Object[]} Items, oldest first
+ */
+function listActionItems(guildId, { channelId = null, owner = null, status = null } = {}) {
+    const ownerNames = owner ? owner.names.filter(Boolean).map(name => name.toLowerCase()) : [];
+
+    return loadTracker(guildId).items.filter(item =>
+        (!channelId || item.channelId === channelId) &&
+        (!status || item.status === status) &&
+        (!owner || item.ownerId === owner.id || (!item.ownerId && item.owner && ownerNames.includes(item.owner.toLowerCase())))
+    );
+}
+
+/**
+ * Change an action item
+ * @param {string} guildId - Discord guild ID
+ * @param {number} id - Item ID
+ * @param {function(Object): void} change - Changes the item in place
+ * @returns {Object|null} The updated item, or null if there is no item with that ID
+ */
+function updateActionItem(guildId, id, change) {
+    const tracker = loadTracker(guildId);
+    const item = tracker.items.find(entry => entry.id === id);
+    if (!item) return null;
+
+    change(item);
+    saveTracker(guildId, tracker);
+    return item;
+}
+
+/**
+ * Mark an action item as done
+ * @param {string} guildId - Discord guild ID
+ * @param {number} id - Item ID
+ * @param {string} completedBy - Name of the person who marked it done
+ * @returns {Object|null} The item, or null if there is no item with that ID
+ */
+function completeActionItem(guildId, id, completedBy) {
+    return updateActionItem(guildId, id, item => {
+        if (item.status === 'done') return;
+        item.status = 'done';
+        item.completedAt = new Date().toISOString();
+        item.completedBy = completedBy;
+    });
+}
+
+/**
+ * Give an action item to someone else
+ * @param {string} guildId - Discord guild ID
+ * @param {number} id - Item ID
+ * @param {{owner: string, ownerId: string}} owner - New owner's name and user ID
+ * @returns {Object|null} The item, or null if there is no item with that ID
+ */
+function reassignActionItem(guildId, id, { owner, ownerId }) {
+    return updateActionItem(guildId, id, item => {
+        item.owner = owner;
+        item.ownerId = ownerId;
+    });
+}
+
+/**
+ * Format an action item as one line, e.g. "#12 Send the pricing deck (owner: Alice, due: 2025-11-07)"
+ * @param {Object} item - Action item
+ * @returns {string} Formatted item
+ */
+function formatActionItem(item) {
+    const details = [`owner: ${item.owner || 'unassigned'}`];
+    if (item.dueDate) details.push(`due: ${item.dueDate}`);
+    return `#${item.id} ${item.text} (${details.join(', ')})`;
+}
+
+module.exports = {
+    addActionItems,
+    listActionItems,
+    completeActionItem,
+    reassignActionItem,
+    formatActionItem
+};
@@ -0,0 +1,149 @@
+/**
+ * Meeting Analytics
+ * Works out conversation dynamics from the timestamped per-speaker PCM bursts:
+ * share of voice, speaking turns, overlapping speech (interruptions),
+ * the longest monologue and dead-air periods.
+ * People are told apart by user ID, so two members with the same nickname stay separate
+ * and a member who renames mid-meeting stays one person; names are only looked up to render.
+ */
+
+const { formatOffset, toMeetingOffset } = require('./transcript.js');
+const { PCM_BYTES_PER_SECOND, formatDuration } = require('./attendance.js');
+
+// Bursts by the same speaker closer together than this form one turn
+const TURN_GAP_MS = 2000;
+
+// Silences longer than this count as dead air
+const DEAD_AIR_MS = 15000;
+
+/**
+ * Analyze who spoke when
+ * @param {Array<{userId: string, speaker: string, startTime: number, bytes: number}>} bursts - Speech bursts (startTime in epoch ms, bytes of 16kHz mono PCM)
+ * @param {Object} meeting
+ * @param {number} meeting.startedAt - Meeting start in epoch ms
+ * @param {number} meeting.endedAt - Meeting end in epoch ms
+ * @param {Array<{start: number, end: number}>} [meeting.pauses] - Off-the-record periods, excluded from dead air
+ * @returns {Object} Analytics report (JSON-serializable), with people as user IDs and `names` mapping
+ *          each user ID to their most recent display name
+ */
+function analyzeMeeting(bursts, { startedAt, endedAt, pauses = [] }) {
+    const names = {};
+    // In time order, so the last name seen for a user is their most recent one
+    const spans = [...bursts]
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(({ userId, speaker, startTime, bytes }) => {
+            names[userId] = speaker;
+            return { userId, start: startTime, end: startTime + Math.round(bytes / PCM_BYTES_PER_SECOND * 1000) };
+        })
+        .filter(({ start, end }) => end > start);
+
+    const toOffset = time => formatOffset(toMeetingOffset(time, startedAt, pauses));
+
+    // Share of voice
+    const participants = {};
+    const getParticipant = userId => {
+        if (!participants[userId]) {
+            participants[userId] = { userId, talkMs: 0, share: 0, turns: 0, interruptions: 0, interrupted: 0 };
+        }
+        return participants[userId];
+    };
+    spans.forEach(span => {
+        getParticipant(span.userId).talkMs += span.end - span.start;
+    });
+    const totalTalkMs = Object.values(participants).reduce((total, p) => total + p.talkMs, 0);
+    Object.values(participants).forEach(p => {
+        p.share = totalTalkMs > 0 ? Math.round(p.talkMs / totalTalkMs * 1000) / 1000 : 0;
+    });
+
+    // Speaking turns: a new turn starts when someone else spoke in between or after a long gap
+    const turns = [];
+    spans.forEach(span => {
+        const lastTurn = turns[turns.length - 1];
+        if (lastTurn && lastTurn.userId === span.userId && span.start - lastTurn.end <= TURN_GAP_MS) {
+            lastTurn.end = Math.max(lastTurn.end, span.end);
+        } else {
+            turns.push({ ...span });
+        }
+    });
+    turns.forEach(turn => {
+        getParticipant(turn.userId).turns++;
+    });
+
+    // Overlapping speech: someone starts while another speaker is still talking
+    const overlaps = [];
+    spans.forEach((span, index) => {
+        for (let i = index - 1; i >= 0; i--) {
+            const earlier = spans[i];
+            if (earlier.userId === span.userId || earlier.end <= span.start) continue;
+
+            const overlapMs = Math.min(earlier.end, span.end) - span.start;
+            overlaps.push({
+                at: toOffset(span.start),
+                interrupter: span.userId,
+                interrupted: earlier.userId,
+                durationMs: overlapMs
+            });
+            getParticipant(span.userId).interruptions++;
+            getParticipant(earlier.userId).interrupted++;
+            break;
+        }
+    });
+
+    // Longest monologue
+    const longestTurn = turns.reduce((longest, turn) => (
+        !longest || turn.end - turn.start > longest.end - longest.start ? turn : longest
+    ), null);
+
+    // Dead air: silences between speech (and around it), leaving out off-the-record time
+    const deadAir = [];
+    let lastSpeechEnd = startedAt;
+    [...spans, { start: endedAt, end: endedAt }].forEach(span => {
+        const silenceMs = span.start - lastSpeechEnd
+            - pauses.reduce((total, { start, end }) => total + Math.max(0, Math.min(end ?? span.start, span.start) - Math.max(start, lastSpeechEnd)), 0);
+        if (silenceMs >= DEAD_AIR_MS) {
+            deadAir.push({ at: toOffset(lastSpeechEnd), durationMs: silenceMs });
+        }
+        lastSpeechEnd = Math.max(lastSpeechEnd, span.end);
+    });
+
+    return {
+        names,
+        totalTalkMs,
+        participants: Object.values(participants).sort((a, b) => b.talkMs - a.talkMs),
+        turnCount: turns.length,
+        overlaps,
+        longestMonologue: longestTurn
+            ? { userId: longestTurn.userId, at: toOffset(longestTurn.start), durationMs: longestTurn.end - longestTurn.start }
+            : null,
+        deadAir,
+        deadAirTotalMs: deadAir.reduce((total, { durationMs }) => total + durationMs, 0)
+    };
+}
+
+/**
+ * Render a short stats block for the meetings file
+ * @param {Object} analytics - Report from analyzeMeeting
+ * @returns {string} Stats text
+ */
+function formatAnalyticsBlock(analytics) {
+    // Reports saved before people were keyed by user ID carry the name itself
+    const getName = ({ userId, speaker }) => (analytics.names || {})[userId] || speaker || userId;
+
+    const lines = analytics.participants.map(p =>
+        `- ${getName(p)}: ${Math.round(p.share * 100)}% of speaking time, ${p.turns} turn(s), interrupted others ${p.interruptions} time(s)`
+    );
+
+    if (analytics.longestMonologue) {
+        const { at, durationMs } = analytics.longestMonologue;
+        lines.push(`- Longest monologue: ${getName(analytics.longestMonologue)}, ${formatDuration(durationMs)} at ${at}`);
+    }
+    lines.push(`- Overlapping speech: ${analytics.overlaps.length} time(s)`);
+    lines.push(`- Dead air: ${analytics.deadAir.length} period(s) of ${DEAD_AIR_MS / 1000}s+ silence, ${formatDuration(analytics.deadAirTotalMs)} in total`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    analyzeMeeting,
+    formatAnalyticsBlock
+};
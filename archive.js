@@ -0,0 +1,218 @@
+/**
+ * Meeting Audio Archive
+ * Optionally keeps a compressed copy of each meeting's final mix (and per-speaker stems)
+ * under DATA_DIR/Archive/<channel>/<date>, pruned after a retention period.
+ *
+ * Configuration (.env):
+ *   ARCHIVE_ENABLED=true          # Turn archiving on (off by default)
+ *   ARCHIVE_FORMAT=ogg            # ogg (Opus) or mp3
+ *   ARCHIVE_STEMS=false           # Also keep one track per speaker
+ *   ARCHIVE_RETENTION_DAYS=30     # Delete archived days older than this (0 = keep forever)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const { toMeetingOffset } = require('./transcript.js');
+const { PCM_BYTES_PER_SECOND } = require('./attendance.js');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const ARCHIVE_FOLDER = path.join(DATA_DIR, 'Archive');
+
+const ARCHIVE_ENABLED = process.env.ARCHIVE_ENABLED === 'true';
+const ARCHIVE_FORMAT = process.env.ARCHIVE_FORMAT === 'mp3' ? 'mp3' : 'ogg';
+const ARCHIVE_STEMS = process.env.ARCHIVE_STEMS === 'true';
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS || '30', 10);
+
+// Encoder settings per format (speech-quality mono)
+const ENCODER_ARGS = {
+    ogg: ['-c:a', 'libopus', '-b:a', '32k', '-application', 'voip'],
+    mp3: ['-c:a', 'libmp3lame', '-b:a', '64k']
+};
+
+/**
+ * Whether archiving is turned on
+ * @returns {boolean}
+ */
+function isArchiveEnabled() {
+    return ARCHIVE_ENABLED;
+}
+
+/**
+ * Run ffmpeg and resolve once it exits successfully
+ * @param {string[]} args - ffmpeg arguments
+ * @returns {Promise<void>}
+ */
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, args);
+
+        let ffmpegError = '';
+        ffmpeg.stderr.on('data', (data) => {
+            ffmpegError += data.toString();
+        });
+
+        ffmpeg.on('error', (error) => {
+            reject(new Error(`FFmpeg process error: ${error.message}`));
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`FFmpeg exited with code ${code}. Error: ${ffmpegError.slice(-500)}`));
+            }
+        });
+    });
+}
+
+/**
+ * Lay one speaker's bursts out on the meeting timeline as a single raw PCM file,
+ * filling the gaps between bursts with silence. Off-the-record time is left out,
+ * so stem positions match the times in the timed transcripts.
+ * @param {Array<{pcmPath: string, startTime: number}>} bursts - The speaker's bursts
+ * @param {number} meetingStart - Meeting start in epoch ms
+ * @param {Array<{start: number, end: number}>} pauses - Off-the-record periods in epoch ms
+ * @param {string} outputPath - Raw PCM file to write
+ * @returns {Promise<void>}
+ */
+async function writeSpeakerTimeline(bursts, meetingStart, pauses, outputPath) {
+    const silence = Buffer.alloc(PCM_BYTES_PER_SECOND);
+    const output = fs.createWriteStream(outputPath);
+    const write = chunk => new Promise((resolve, reject) => {
+        output.write(chunk, error => (error ? reject(error) : resolve()));
+    });
+
+    try {
+        let position = 0;
+        for (const { pcmPath, startTime } of [...bursts].sort((a, b) => a.startTime - b.startTime)) {
+            // Keep sample alignment (2 bytes per sample)
+            const burstPosition = Math.floor(toMeetingOffset(startTime, meetingStart, pauses) / 1000 * PCM_BYTES_PER_SECOND / 2) * 2;
+
+            while (position < burstPosition) {
+                const gap = Math.min(silence.length, burstPosition - position);
+                await write(silence.subarray(0, gap));
+                position += gap;
+            }
+
+            const data = await fs.promises.readFile(pcmPath);
+            await write(data);
+            position += data.length;
+        }
+    } finally {
+        await new Promise(resolve => output.end(resolve));
+    }
+}
+
+/**
+ * Archive a meeting's audio
+ * @param {Object} meeting
+ * @param {string} meeting.channelName - Channel name
+ * @param {string} meeting.timestamp - Meeting timestamp (file-name safe ISO string)
+ * @param {number} meeting.startedAt - Meeting start in epoch ms
+ * @param {string} meeting.finalAudioFile - Final mixed WAV
+ * @param {Array<{pcmPath: string, speaker: string, startTime: number}>} [meeting.bursts] - Speech bursts, used for stems
+ * @param {Array<{start: number, end: number}>} [meeting.pauses] - Off-the-record periods, left out of stems
+ * @returns {Promise<string[]>} Paths of the archived files
+ */
+async function archiveMeeting({ channelName, timestamp, startedAt, finalAudioFile, bursts = [], pauses = [] }) {
+    const date = new Date(startedAt).toISOString().slice(0, 10);
+    const folder = path.join(ARCHIVE_FOLDER, channelName, date);
+    fs.mkdirSync(folder, { recursive: true });
+
+    const archived = [];
+
+    const mixPath = path.join(folder, `${channelName}_${timestamp}_meeting.${ARCHIVE_FORMAT}`);
+    await runFfmpeg(['-y', '-i', finalAudioFile, '-ac', '1', ...ENCODER_ARGS[ARCHIVE_FORMAT], mixPath]);
+    archived.push(mixPath);
+    console.log(`🗄️ Archived meeting audio: ${mixPath}`);
+
+    if (ARCHIVE_STEMS) {
+        const speakers = [...new Set(bursts.map(({ speaker }) => speaker))];
+
+        for (const speaker of speakers) {
+            const safeSpeaker = speaker.replace(/[^\w.-]+/g, '-');
+            const stemPcmPath = path.join(folder, `${channelName}_${timestamp}_${safeSpeaker}.pcm`);
+            const stemPath = path.join(folder, `${channelName}_${timestamp}_${safeSpeaker}.${ARCHIVE_FORMAT}`);
+
+            try {
+                await writeSpeakerTimeline(bursts.filter(burst => burst.speaker === speaker), startedAt, pauses, stemPcmPath);
+                await runFfmpeg(['-y', '-f', 's16le', '-ar', '16000', '-ac', '1', '-i', stemPcmPath, ...ENCODER_ARGS[ARCHIVE_FORMAT], stemPath]);
+                archived.push(stemPath);
+                console.log(`🗄️ Archived stem for ${speaker}`);
+            } catch (error) {
+                console.error(`❌ Failed to archive stem for ${speaker}:`, error.message);
+            } finally {
+                if (fs.existsSync(stemPcmPath)) fs.unlinkSync(stemPcmPath);
+            }
+        }
+    }
+
+    return archived;
+}
+
+/**
+ * Delete archived days older than the retention period
+ */
+function pruneArchive() {
+    if (ARCHIVE_RETENTION_DAYS <= 0 || !fs.existsSync(ARCHIVE_FOLDER)) return;
+
+    console.log(`🧹 Pruning archived audio older than ${ARCHIVE_RETENTION_DAYS} day(s)...`);
+    const cutoff = Date.now() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let deletedCount = 0;
+
+    try {
+        for (const channel of fs.readdirSync(ARCHIVE_FOLDER)) {
+            const channelFolder = path.join(ARCHIVE_FOLDER, channel);
+            if (!fs.statSync(channelFolder).isDirectory()) continue;
+
+            for (const date of fs.readdirSync(channelFolder)) {
+                // Day folders are named YYYY-MM-DD
+                const dayStart = Date.parse(`${date}T00:00:00Z`);
+                if (isNaN(dayStart) || dayStart >= cutoff) continue;
+
+                fs.rmSync(path.join(channelFolder, date), { recursive: true, force: true });
+                deletedCount++;
+            }
+
+            if (fs.readdirSync(channelFolder).length === 0) {
+                fs.rmdirSync(channelFolder);
+            }
+        }
+
+        console.log(`✅ Pruned ${deletedCount} archived day(s)`);
+    } catch (error) {
+        console.error('❌ Error pruning archive:', error.message);
+    }
+}
+
+/**
+ * List every archived file
+ * @returns {string[]} Absolute paths
+ */
+function listArchivedFiles() {
+    if (!fs.existsSync(ARCHIVE_FOLDER)) return [];
+
+    const files = [];
+    const walk = folder => {
+        for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+            const entryPath = path.join(folder, entry.name);
+            if (entry.isDirectory()) {
+                walk(entryPath);
+            } else if (entry.isFile()) {
+                files.push(entryPath);
+            }
+        }
+    };
+    walk(ARCHIVE_FOLDER);
+    return files;
+}
+
+module.exports = {
+    isArchiveEnabled,
+    archiveMeeting,
+    pruneArchive,
+    listArchivedFiles
+};
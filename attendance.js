@@ -0,0 +1,174 @@
+/**
+ * Attendance Tracking
+ * Builds a join/leave timeline per person from voice state events,
+ * plus speaking time measured from the PCM bytes written for each speaker.
+ *
+ * The attendance object is plain JSON so it can live in the session manifest.
+ */
+
+// 16kHz mono signed 16-bit PCM
+const PCM_BYTES_PER_SECOND = 16000 * 2;
+
+/**
+ * Create an empty attendance log
+ * @returns {{people: Object<string, {name: string, intervals: Array<{joinedAt: number, leftAt: number|null}>, speakingBytes: number}>}}
+ */
+function createAttendance() {
+    return { people: {} };
+}
+
+/**
+ * Get (or add) a person's attendance record
+ */
+function getPerson(attendance, userId, name) {
+    if (!attendance.people[userId]) {
+        attendance.people[userId] = { name, intervals: [], speakingBytes: 0 };
+    }
+    const person = attendance.people[userId];
+    // Keep the most recent display name
+    if (name) person.name = name;
+    return person;
+}
+
+/**
+ * Record someone joining the meeting
+ * @param {Object} attendance - Attendance log
+ * @param {string} userId - Discord user ID
+ * @param {string} name - Display name
+ * @param {number} [time] - Epoch ms
+ * @returns {boolean} True if this is the first time they joined
+ */
+function recordJoin(attendance, userId, name, time = Date.now()) {
+    const person = getPerson(attendance, userId, name);
+    const isFirstJoin = person.intervals.length === 0;
+
+    const lastInterval = person.intervals[person.intervals.length - 1];
+    if (!lastInterval || lastInterval.leftAt !== null) {
+        person.intervals.push({ joinedAt: time, leftAt: null });
+    }
+    return isFirstJoin;
+}
+
+/**
+ * Record someone leaving the meeting
+ * @param {Object} attendance - Attendance log
+ * @param {string} userId - Discord user ID
+ * @param {number} [time] - Epoch ms
+ */
+function recordLeave(attendance, userId, time = Date.now()) {
+    const person = attendance.people[userId];
+    if (!person) return;
+
+    const lastInterval = person.intervals[person.intervals.length - 1];
+    if (lastInterval && lastInterval.leftAt === null) {
+        lastInterval.leftAt = time;
+    }
+}
+
+/**
+ * Add a finished speech burst to someone's talk time
+ * @param {Object} attendance - Attendance log
+ * @param {string} userId - Discord user ID
+ * @param {string} name - Display name
+ * @param {number} bytes - PCM bytes written for the burst
+ */
+function recordSpeech(attendance, userId, name, bytes) {
+    getPerson(attendance, userId, name).speakingBytes += bytes;
+}
+
+/**
+ * Close every open interval, e.g. when the meeting ends
+ * @param {Object} attendance - Attendance log
+ * @param {number} [time] - Epoch ms
+ */
+function closeAttendance(attendance, time = Date.now()) {
+    Object.keys(attendance.people).forEach(userId => recordLeave(attendance, userId, time));
+}
+
+/**
+ * Summarize attendance per person
+ * @param {Object} attendance - Attendance log (open intervals count up to `endTime`)
+ * @param {number} [endTime] - Epoch ms
+ * @returns {Array<{userId: string, name: string, joinedAt: number, leftAt: number, presentMs: number, talkMs: number, talkShare: number}>}
+ *          Rows ordered by first join
+ */
+function summarizeAttendance(attendance, endTime = Date.now()) {
+    const rows = Object.entries(attendance.people)
+        .filter(([, person]) => person.intervals.length > 0)
+        .map(([userId, person]) => {
+            const intervals = person.intervals.map(({ joinedAt, leftAt }) => ({ joinedAt, leftAt: leftAt ?? endTime }));
+            return {
+                userId,
+                name: person.name,
+                joinedAt: intervals[0].joinedAt,
+                leftAt: intervals[intervals.length - 1].leftAt,
+                presentMs: intervals.reduce((total, { joinedAt, leftAt }) => total + Math.max(0, leftAt - joinedAt), 0),
+                talkMs: Math.round(person.speakingBytes / PCM_BYTES_PER_SECOND * 1000),
+                talkShare: 0
+            };
+        })
+        .sort((a, b) => a.joinedAt - b.joinedAt);
+
+    const totalTalkMs = rows.reduce((total, row) => total + row.talkMs, 0);
+    rows.forEach(row => {
+        row.talkShare = totalTalkMs > 0 ? row.talkMs / totalTalkMs : 0;
+    });
+
+    return rows;
+}
+
+/**
+ * Format a duration like "1h 05m", "12m 30s" or "45s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * Render attendance rows as a plain-text table for the meetings file
+ * @param {Array<Object>} rows - Rows from summarizeAttendance, optionally with `notRecorded: true`
+ * @returns {string} Table text
+ */
+function formatAttendanceTable(rows) {
+    const formatTime = time => new Date(time).toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true
+    });
+
+    const header = ['Name', 'Joined', 'Left', 'Present', 'Talk time', 'Talk share'];
+    const body = rows.map(row => [
+        row.name,
+        formatTime(row.joinedAt),
+        formatTime(row.leftAt),
+        formatDuration(row.presentMs),
+        row.notRecorded ? 'not recorded' : formatDuration(row.talkMs),
+        row.notRecorded ? '-' : `${Math.round(row.talkShare * 100)}%`
+    ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...body.map(cells => cells[column].length)));
+    const formatRow = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    return [formatRow(header), formatRow(widths.map(width => '-'.repeat(width))), ...body.map(formatRow)].join('\n');
+}
+
+module.exports = {
+    PCM_BYTES_PER_SECOND,
+    createAttendance,
+    recordJoin,
+    recordLeave,
+    recordSpeech,
+    closeAttendance,
+    summarizeAttendance,
+    formatDuration,
+    formatAttendanceTable
+};
@@ -4,9 +4,54 @@ const prism = require('prism-media');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { summarizeTranscript, saveSummaryLocally, cleanupTemporarySummaryFiles } = require('./processor.js');
-const { initializeScheduler, shouldBeActive } = require('./scheduler.js');
+const {
+    summarizeTranscript,
+    summarizeTranscriptParts,
+    generateMinutes,
+    extractActionItems,
+    saveSummaryLocally,
+    cleanupTemporarySummaryFiles
+} = require('./processor.js');
+const { formatMinutes } = require('./minutes.js');
+const { getLlmInfo } = require('./llm.js');
+const { DEFAULT_TEMPLATE, getTemplate, listTemplates, getChannelTemplateName } = require('./templates.js');
+const { initializeScheduler, shouldBeActive, runUploader } = require('./scheduler.js');
+const {
+    buildDialogueTranscript,
+    buildTimedTranscript,
+    formatSrt,
+    formatVtt,
+    getLanguageName,
+    summarizeLanguages,
+    describePauses,
+    describeMarks,
+    formatOffset,
+    toMeetingOffset
+} = require('./transcript.js');
+const { isOptedOut, optOut, optIn } = require('./consent.js');
+const { getSetting, setSetting } = require('./settings.js');
+const { getGlossary, addTerm, removeTerm, buildTranscriptionPrompt, applyGlossary } = require('./glossary.js');
+const { addActionItems, listActionItems, completeActionItem, reassignActionItem, formatActionItem } = require('./actions.js');
+const { REDACTION_ENABLED, REDACTION_KEEP_RAW, getDenyList, addDenyTerm, removeDenyTerm, createRedactor } = require('./redaction.js');
+const { PCM_BYTES_PER_SECOND, recordJoin, recordLeave, recordSpeech, closeAttendance, summarizeAttendance } = require('./attendance.js');
+const { analyzeMeeting } = require('./analytics.js');
+const { isArchiveEnabled, archiveMeeting } = require('./archive.js');
+const { transcribe, isSupportedLanguage, startTranscriptionBackend } = require('./transcription.js');
+const { enqueueJob, registerJobHandler, startJobWorker, listJobs, retryDeadJobs } = require('./jobs.js');
+const { saveMeeting, loadMeeting, listMeetings } = require('./meetings.js');
+const {
+    createSession,
+    sessionFromManifest,
+    getSession,
+    getGuildSession,
+    getAllSessions,
+    removeSession,
+    getMeetingId,
+    loadManifest,
+    saveManifest,
+    deleteManifest,
+    loadUnfinishedManifests
+} = require('./sessions.js');
 
 // Load environment variables
 require('dotenv').config();
@@ -26,28 +71,34 @@ const ffmpegPath = require('ffmpeg-static');
 const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
 const PCM_FOLDER = path.join(DATA_DIR, 'PCM_Files');
 const SUMMARY_FOLDER = path.join(DATA_DIR, 'Summary');
+const DRIVE_TOKEN_PATH = path.join(DATA_DIR, 'token.json');
 
-// Initialize Gemini AI client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Length of a processing segment (paused time does not count towards it)
+const SEGMENT_DURATION_MS = 5 * 60 * 1000; // 5 minutes
+
+// How long to keep trying to get a dropped voice connection back before ending the meeting
+const RECONNECT_WINDOW_MS = 60 * 1000;
+const RECONNECT_ATTEMPT_TIMEOUT_MS = 10_000;
+
+// "narrative" for one summary paragraph, "minutes" for structured minutes (decisions, action items, ...)
+const SUMMARY_FORMAT = process.env.SUMMARY_FORMAT || 'narrative';
+
+// How often meetings still waiting for a summary are retried (e.g. after an LLM outage)
+const SUMMARY_RETRY_INTERVAL_MS = parseInt(process.env.SUMMARY_RETRY_INTERVAL_MS || '3600000', 10);
+
+// ISO 639 language codes, e.g. "en", "es" or "haw"
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}$/i;
+
+// Speech bursts shorter than this (~0.3s of 16kHz mono s16) are too short to transcribe
+const MIN_BURST_BYTES = 16000 * 2 * 0.3;
+
+// Background segment transcriptions of stopped meetings, keyed by meeting ID
+const backgroundTranscriptions = new Map();
 
 // Ensure folders exist
 if (!fs.existsSync(PCM_FOLDER)) fs.mkdirSync(PCM_FOLDER, { recursive: true });
 if (!fs.existsSync(SUMMARY_FOLDER)) fs.mkdirSync(SUMMARY_FOLDER, { recursive: true });
 
-// Recording state
-let recordingState = {
-    isRecording: false,
-    connection: null,
-    channelId: null,
-    channelName: null,
-    timestamp: null,
-    segmentCounter: 0,
-    activeStreams: new Map(),
-    segmentProcessingInterval: null,
-    attendeeUpdateInterval: null,
-    attendees: new Set()
-};
-
 /**
  * Clean PCM to WAV conversion - NO audio processing
  */
@@ -89,33 +140,33 @@ function convertPcmToWav(pcmPath, wavPath) {
     });
 }
 
+/**
+ * Path of the mixed WAV for one of a session's segments
+ */
+function getSegmentWavPath(session, segment) {
+    return path.join(PCM_FOLDER, `${session.channelName}_${session.timestamp}_segment_${segment}_processed.wav`);
+}
+
 /**
  * Process a 5-minute segment chronologically
+ * @param {Object} session - The recording session
+ * @param {number} segment - Segment number
  */
-async function processSegmentChronologically(segmentKey) {
+async function processSegmentChronologically(session, segment) {
+    const segmentKey = `${session.channelName}_${session.timestamp}_segment_${segment}`;
     console.log(`🔄 Processing segment ${segmentKey} chronologically...`);
 
-    // Find all PCM files for this segment - look for files that match the current segment
-    const segmentFiles = fs.readdirSync(PCM_FOLDER)
-        .filter(file => {
-            // Check if file contains the segment key (channel_timestamp_segment_X)
-            return file.includes(segmentKey) && file.endsWith('.pcm');
-        });
+    // Look the segment's bursts up in the session's burst index
+    const fileData = session.bursts
+        .filter(burst => burst.segment === segment)
+        .map(({ file, displayName, startTime }) => ({ file, username: displayName, timestamp: startTime }));
 
-    if (segmentFiles.length === 0) {
+    if (fileData.length === 0) {
         console.log(`⚠️ No PCM files found for segment ${segmentKey}`);
         return null;
     }
 
-    console.log(`📁 Found ${segmentFiles.length} PCM files for segment ${segmentKey}`);
-
-    // Parse files and extract user and timestamp
-    const fileData = segmentFiles.map(file => {
-        const parts = file.split('_');
-        const timestamp = parseInt(parts.pop().replace('.pcm', ''));
-        const username = parts[parts.length - 1];
-        return { file, timestamp, username };
-    });
+    console.log(`📁 Found ${fileData.length} PCM files for segment ${segmentKey}`);
 
     // Sort chronologically by timestamp
     fileData.sort((a, b) => a.timestamp - b.timestamp);
@@ -160,7 +211,7 @@ async function processSegmentChronologically(segmentKey) {
     }
 
     // Mix WAV files chronologically to preserve conversation flow
-    const segmentWavFile = path.join(PCM_FOLDER, `${segmentKey}_processed.wav`);
+    const segmentWavFile = getSegmentWavPath(session, segment);
 
     return new Promise((resolve, reject) => {
         console.log(`🔄 Mixing ${converted.length} WAV files chronologically to preserve conversation flow...`);
@@ -268,93 +319,93 @@ async function processSegmentChronologically(segmentKey) {
 }
 
 /**
- * Start recording with proper chronological processing
+ * Schedule processing of the session's current segment.
+ * A timeout chain (rather than an interval) so pauses can stop the clock.
+ * @param {Object} session - The recording session
+ * @param {number} [delay] - Time until the current segment ends; shorter when resuming after a pause
  */
-async function startRecording(connection, guild, channelId) {
-    // Check if we're within operating hours
-    if (!shouldBeActive()) {
-        console.log('⚠️ Outside operating hours (6 AM - 4 PM). Recording not allowed.');
-        return;
-    }
-
-    if (recordingState.isRecording) {
-        console.log('⚠️ Already recording!');
-        return;
-    }
-
-    const channel = guild.channels.cache.get(channelId);
-    if (!channel) {
-        console.log('❌ Channel not found!');
-        return;
-    }
-
-    recordingState.isRecording = true;
-    recordingState.connection = connection;
-    recordingState.channelId = channelId;
-    recordingState.channelName = channel.name;
-    recordingState.timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    recordingState.segmentCounter = 0;
-    recordingState.activeStreams.clear();
-
-    // Capture initial attendees
-    recordingState.attendees = new Set(channel.members
-        .filter(member => !member.user.bot)
-        .map(member => member.displayName));
+function scheduleSegmentProcessing(session, delay = SEGMENT_DURATION_MS) {
+    session.segmentEndsAt = Date.now() + delay;
+    session.segmentProcessingTimer = setTimeout(async () => {
+        scheduleSegmentProcessing(session);
 
-    console.log(`🎙️ Started recording in ${channel.name}`);
-    console.log(`📊 Recording timestamp: ${recordingState.timestamp}`);
-    console.log(`👥 Initial attendees: ${Array.from(recordingState.attendees).join(', ')}`);
+        // Move on to the next segment first, so speech during processing isn't left behind
+        const segment = session.segmentCounter;
+        session.segmentCounter++;
+        saveManifest(session);
+        console.log(`📊 Now recording ${session.channelName} to segment ${session.segmentCounter}`);
 
-    // Set up 5-minute segment processing for summary generation
-    recordingState.segmentProcessingInterval = setInterval(async () => {
-        console.log(`⏰ 5-minute interval reached. Processing segment ${recordingState.segmentCounter} for summary...`);
-
-        const segmentKey = `${recordingState.channelName}_${recordingState.timestamp}_segment_${recordingState.segmentCounter}`;
+        console.log(`⏰ 5-minute interval reached. Processing segment ${segment} of ${session.channelName} for summary...`);
 
         try {
-            const segmentFile = await processSegmentChronologically(segmentKey);
+            const segmentFile = await processSegmentChronologically(session, segment);
             if (segmentFile) {
-                console.log(`✅ Segment ${recordingState.segmentCounter} processed for summary generation`);
+                console.log(`✅ Segment ${segment} processed for summary generation`);
+                queueSegmentTranscription(session, segment);
             } else {
-                console.log(`⚠️ Segment ${recordingState.segmentCounter} processing returned null`);
+                console.log(`⚠️ Segment ${segment} processing returned null`);
             }
         } catch (error) {
-            console.error(`❌ Error processing segment ${recordingState.segmentCounter}:`, error);
+            console.error(`❌ Error processing segment ${segment}:`, error);
         }
+    }, delay);
+}
+
+/**
+ * Subscribe to speakers on the session's current voice receiver.
+ * Called again after a reconnect, so the listener moves to the new receiver.
+ * @param {Object} session - The recording session
+ * @param {import('discord.js').Guild} guild - The session's guild
+ */
+function attachReceiver(session, guild) {
+    // Drop the listener from the receiver used before a reconnect
+    if (session.receiver && session.speakingStartListener) {
+        session.receiver.speaking.removeListener('start', session.speakingStartListener);
+    }
 
-        recordingState.segmentCounter++;
-        console.log(`📊 Now recording to segment ${recordingState.segmentCounter}`);
-    }, 5 * 60 * 1000); // 5 minutes
+    const receiver = session.connection.receiver;
 
-    // Set up voice activity detection
-    connection.receiver.speaking.on('start', (userId) => {
+    const speakingStartListener = (userId) => {
         const user = guild.members.cache.get(userId);
         if (!user) return;
 
+        // Never subscribe to users who opted out of recording, or while off the record
+        if (isOptedOut(userId) || session.isPaused) return;
+
         console.log(`🎤 ${user.displayName} started speaking`);
 
         // Skip if already recording this user
-        if (recordingState.activeStreams.has(userId)) {
+        if (session.activeStreams.has(userId)) {
             console.log(`⚠️ Already recording ${user.displayName}, skipping duplicate`);
             return;
         }
 
-        const audioStream = connection.receiver.subscribe(userId, {
+        const audioStream = receiver.subscribe(userId, {
             end: { behavior: 'manual' }
         });
 
         const transcoder = new prism.opus.Decoder({ rate: 16000, channels: 1, frameSize: 320 });
 
-        // Create filename with timestamp
-        const fileName = `${recordingState.channelName}_${recordingState.timestamp}_segment_${recordingState.segmentCounter}_${user.displayName}_${Date.now()}.pcm`;
-        const pcmFilePath = path.join(PCM_FOLDER, fileName);
+        // Index the burst; speaker and timing live in the session index, not the file name
+        const burst = {
+            file: `${session.channelName}_${session.timestamp}_segment_${session.segmentCounter}_${userId}_${Date.now()}.pcm`,
+            userId,
+            displayName: user.displayName,
+            segment: session.segmentCounter,
+            startTime: Date.now(),
+            bytes: 0
+        };
+        const pcmFilePath = path.join(PCM_FOLDER, burst.file);
         const userOutputStream = fs.createWriteStream(pcmFilePath);
 
-        // Track initial size to detect empty files
+        session.bursts.push(burst);
+        saveManifest(session);
+
+        // Track decoded PCM size to detect empty files and measure talk time
         let bytesWritten = 0;
 
-        // Monitor bytes written
-        userOutputStream.on('data', (chunk) => {
+        // Monitor bytes written (write streams don't emit 'data', so count what the decoder produces)
+        transcoder.on('data', (chunk) => {
             bytesWritten += chunk.length;
         });
 
@@ -369,12 +420,21 @@ async function startRecording(connection, guild, channelId) {
             isEnded = true;
 
             console.log(`🔇 ${user.displayName} stopped speaking`);
+            recordSpeech(session.attendance, userId, user.displayName, bytesWritten);
+
+            // Keep the index in step with the file: record the size, or drop bursts with no audio
+            if (bytesWritten > 0) {
+                burst.bytes = bytesWritten;
+            } else {
+                session.bursts = session.bursts.filter(entry => entry !== burst);
+            }
+            saveManifest(session);
 
             // Remove the speaking end listener to prevent memory leaks
             try {
-                const streamData = recordingState.activeStreams.get(userId);
+                const streamData = session.activeStreams.get(userId);
                 if (streamData && streamData.speakingEndListener) {
-                    connection.receiver.speaking.removeListener('end', streamData.speakingEndListener);
+                    receiver.speaking.removeListener('end', streamData.speakingEndListener);
                 }
             } catch (err) {
                 // Listener might not exist
@@ -408,7 +468,7 @@ async function startRecording(connection, guild, channelId) {
             }, 100);
 
             // Clean up listeners and remove from active streams
-            recordingState.activeStreams.delete(userId);
+            session.activeStreams.delete(userId);
         };
 
         const errorHandler = (error) => {
@@ -432,18 +492,19 @@ async function startRecording(connection, guild, channelId) {
         };
 
         // Store the stream info with the listener for cleanup
-        recordingState.activeStreams.set(userId, {
+        session.activeStreams.set(userId, {
             stream: audioStream,
             transcoder: transcoder,
             outputStream: userOutputStream,
             user: user,
             pcmFilePath: pcmFilePath,
             bytesWritten: bytesWritten,
-            speakingEndListener: speakingEndListener // Store for cleanup
+            speakingEndListener: speakingEndListener, // Store for cleanup
+            endHandler: endHandler
         });
 
         // Listen for when user stops speaking
-        connection.receiver.speaking.on('end', speakingEndListener);
+        receiver.speaking.on('end', speakingEndListener);
 
         audioStream.on('error', errorHandler);
         audioStream.on('end', () => {
@@ -451,354 +512,1286 @@ async function startRecording(connection, guild, channelId) {
             endHandler();
         });
         transcoder.on('error', transcoderErrorHandler);
-    });
+    };
+
+    receiver.speaking.on('start', speakingStartListener);
+    session.receiver = receiver;
+    session.speakingStartListener = speakingStartListener;
+}
 
-    // Set up dynamic attendee tracking
-    const updateAttendees = () => {
-        const currentMembers = channel.members
-            .filter(member => !member.user.bot)
-            .map(member => member.displayName);
+/**
+ * Watch a session's voice connection and try to get it back when Discord drops it
+ * If it can't be recovered within RECONNECT_WINDOW_MS, the meeting is finalized
+ * @param {Object} session - The recording session
+ * @param {import('discord.js').Guild} guild - The session's guild
+ */
+function watchConnection(session, guild) {
+    const connection = session.connection;
 
-        const currentAttendees = new Set(currentMembers);
-        const previousAttendees = recordingState.attendees;
+    connection.on(VoiceConnectionStatus.Disconnected, async () => {
+        // Ignore stale connections and disconnects we caused ourselves
+        if (session.isStopping || session.isReconnecting || session.connection !== connection) return;
 
-        // Check for new attendees
-        for (const member of currentAttendees) {
-            if (!previousAttendees.has(member)) {
-                console.log(`👋 ${member} joined the meeting`);
-                recordingState.attendees.add(member);
-            }
-        }
+        session.isReconnecting = true;
+        console.log(`📡 Voice connection lost in ${session.channelName}. Trying to reconnect...`);
 
-        // Check for attendees who left (but keep them in the list for historical accuracy)
-        for (const member of previousAttendees) {
-            if (!currentAttendees.has(member)) {
-                console.log(`👋 ${member} left the meeting (keeping in attendee list)`);
-            }
-        }
+        // The receiver is gone, so close the bursts that were being written
+        session.activeStreams.forEach(streamData => streamData.endHandler());
 
-        console.log(`👥 Current attendees: ${Array.from(recordingState.attendees).join(', ')}`);
-    };
+        const reconnected = await reconnectSession(session, guild);
+        session.isReconnecting = false;
 
-    // Update attendees every 30 seconds during recording
-    const attendeeUpdateInterval = setInterval(updateAttendees, 30000);
+        if (reconnected) {
+            console.log(`✅ Reconnected to ${session.channelName}, recording continues`);
+            return;
+        }
 
-    // Store the interval ID for cleanup
-    recordingState.attendeeUpdateInterval = attendeeUpdateInterval;
+        if (session.isStopping) return;
+
+        console.error(`❌ Could not reconnect to ${session.channelName}. Finalizing the meeting...`);
+        stopAndLeave(session).catch(error => {
+            console.error('❌ Error finalizing meeting after lost connection:', error);
+        });
+    });
 }
 
 /**
- * Transcribe audio using Whisper
+ * Try to bring a dropped session back into its voice channel
+ * @param {Object} session - The recording session
+ * @param {import('discord.js').Guild} guild - The session's guild
+ * @returns {Promise<boolean>} True once the session is connected to its channel again
  */
-async function transcribeAudio(audioFilePath) {
-    return new Promise((resolve, reject) => {
-        console.log(`🔄 Transcribing audio with Whisper: ${audioFilePath}`);
+async function reconnectSession(session, guild) {
+    const deadline = Date.now() + RECONNECT_WINDOW_MS;
+    let connection = session.connection;
 
-        const pythonScript = spawn('python', ['transcribe.py', audioFilePath]);
-        let transcript = '';
-        let error = '';
+    for (let attempt = 1; Date.now() < deadline && !session.isStopping; attempt++) {
+        try {
+            if (connection.state.status === VoiceConnectionStatus.Destroyed) {
+                connection = joinVoiceChannel({
+                    channelId: session.channelId,
+                    guildId: guild.id,
+                    adapterCreator: guild.voiceAdapterCreator,
+                    selfDeaf: false,
+                    selfMute: false
+                });
+            } else if (attempt > 1 || connection.joinConfig.channelId !== session.channelId) {
+                // The first attempt gives Discord a chance to resume on its own
+                connection.rejoin({ channelId: session.channelId, selfDeaf: false, selfMute: false });
+            }
 
-        pythonScript.stdout.on('data', (data) => {
-            transcript += data.toString();
-        });
+            await entersState(connection, VoiceConnectionStatus.Ready, Math.min(RECONNECT_ATTEMPT_TIMEOUT_MS, deadline - Date.now()));
 
-        pythonScript.stderr.on('data', (data) => {
-            error += data.toString();
-        });
+            // If the bot was moved elsewhere, go back to the channel being recorded
+            if (connection.joinConfig.channelId !== session.channelId) {
+                throw new Error('connected to a different channel');
+            }
 
-        pythonScript.on('close', (code) => {
-            if (code === 0) {
-                console.log('✅ Whisper transcription completed');
-                resolve(transcript.trim());
-            } else {
-                console.error(`❌ Transcription failed with code ${code}: ${error}`);
-                reject(new Error(`Transcription failed: ${error}`));
+            if (connection !== session.connection) {
+                session.connection = connection;
+                watchConnection(session, guild);
             }
-        });
-    });
-}
+            attachReceiver(session, guild);
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Reconnect attempt ${attempt} for ${session.channelName} failed: ${error.message}`);
+            // Back off a little more after every failed attempt
+            await new Promise(resolve => setTimeout(resolve, Math.min(attempt * 2000, 10_000)));
+        }
+    }
 
+    // Don't leave a half-open connection behind
+    if (connection !== session.connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
+        connection.destroy();
+    }
+    return false;
+}
 
 /**
- * Stop recording and create final chronological merge with transcription and summary
+ * Start recording with proper chronological processing
+ * @param {Object} [manifest] - Manifest of an interrupted meeting to resume instead of starting a new one
+ * @param {Object} [options]
+ * @param {string} [options.template] - Summary template for this meeting instead of the channel's
+ * @returns {Promise<Object|undefined>} The new recording session, if one was started
  */
-async function stopRecording() {
-    if (!recordingState.isRecording) {
-        console.log('⚠️ Not currently recording!');
+async function startRecording(connection, guild, channelId, manifest = null, options = {}) {
+    // Check if we're within operating hours
+    if (!shouldBeActive()) {
+        console.log('⚠️ Outside operating hours (6 AM - 4 PM). Recording not allowed.');
         return;
     }
 
-    // Validate recording state
-    if (!recordingState.channelName || !recordingState.timestamp) {
-        console.error('❌ Invalid recording state - missing channelName or timestamp');
-        // Try to continue anyway, but log the issue
-        console.log('⚠️ Recording state is incomplete, attempting to proceed...');
+    if (getSession(guild.id, channelId)) {
+        console.log('⚠️ Already recording this channel!');
+        return;
     }
 
-    console.log('🛑 Stopping recording...');
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel) {
+        console.log('❌ Channel not found!');
+        return;
+    }
 
-    // Clear the segment processing interval
-    if (recordingState.segmentProcessingInterval) {
-        clearInterval(recordingState.segmentProcessingInterval);
-        recordingState.segmentProcessingInterval = null;
+    const session = createSession({
+        guildId: guild.id,
+        channelId,
+        channelName: channel.name,
+        connection,
+        manifest
+    });
+    if (manifest) {
+        syncBurstIndex(session);
+    } else {
+        // Channel settings override the guild's
+        session.transcriptionLanguage = getSetting(guild.id, channelId, 'transcriptionLanguage') || 'auto';
+        session.summaryLanguage = getSetting(guild.id, channelId, 'summaryLanguage');
+        session.template = options.template || getChannelTemplateName(guild.id, channelId);
     }
 
-    // Clear the attendee update interval
-    if (recordingState.attendeeUpdateInterval) {
-        clearInterval(recordingState.attendeeUpdateInterval);
-        recordingState.attendeeUpdateInterval = null;
+    // Capture initial attendees (on top of those restored from a resumed meeting)
+    channel.members
+        .filter(member => !member.user.bot)
+        .forEach(member => trackJoin(session, member));
+
+    saveManifest(session);
+
+    console.log(`🎙️ ${manifest ? 'Resumed' : 'Started'} recording in ${channel.name} (${guild.name})`);
+    console.log(`📊 Recording timestamp: ${session.timestamp}`);
+    console.log(`👥 Initial attendees: ${Array.from(session.attendees).join(', ')}`);
+
+    await postRecordingNotice(channel, Boolean(manifest));
+
+    // Set up 5-minute segment processing for summary generation
+    scheduleSegmentProcessing(session);
+
+    // Set up voice activity detection and keep it alive across reconnects
+    attachReceiver(session, guild);
+    watchConnection(session, guild);
+
+    return session;
+}
+
+/**
+ * Tell the channel's text chat who is being recorded and how to opt out
+ * @param {import('discord.js').VoiceChannel} channel - The recorded voice channel
+ * @param {boolean} resumed - Whether an interrupted meeting is being resumed
+ */
+async function postRecordingNotice(channel, resumed) {
+    const members = channel.members.filter(member => !member.user.bot);
+    const recorded = members.filter(member => !isOptedOut(member.id)).map(member => member.displayName);
+    const optedOut = members.filter(member => isOptedOut(member.id)).map(member => member.displayName);
+
+    const lines = [
+        `🔴 **Recording ${resumed ? 'resumed' : 'started'}** in ${channel.name}. This meeting is being recorded, transcribed and summarized.`,
+        `🎙️ Recording: ${recorded.length > 0 ? recorded.join(', ') : 'nobody yet'}`
+    ];
+    if (optedOut.length > 0) {
+        lines.push(`🔕 Not recorded (opted out): ${optedOut.join(', ')}`);
     }
+    lines.push('Use `/recording optout` to stop your voice being recorded, or `/recording optin` to allow it again.');
 
-    // Process the current segment
-    const currentSegmentKey = `${recordingState.channelName}_${recordingState.timestamp}_segment_${recordingState.segmentCounter}`;
     try {
-        const segmentFile = await processSegmentChronologically(currentSegmentKey);
-        if (segmentFile) {
-            console.log(`✅ Final segment ${recordingState.segmentCounter} processed`);
-        }
+        await channel.send(lines.join('\n'));
     } catch (error) {
-        console.error(`❌ Error processing final segment:`, error);
+        console.error(`⚠️ Could not post recording notice in ${channel.name}:`, error.message);
     }
+}
 
-    // Close all active streams
-    recordingState.activeStreams.forEach((streamData, userId) => {
-        console.log(`🔇 Closing stream for ${streamData.user.displayName}`);
+/**
+ * Stop recording a user in a session and delete what was already captured from them
+ * @param {Object} session - The recording session
+ * @param {string} userId - Discord user ID of the speaker to exclude
+ */
+function excludeSpeaker(session, userId) {
+    const streamData = session.activeStreams.get(userId);
+    if (streamData) {
+        streamData.endHandler();
+    }
 
-        // Remove the speaking end listener
-        try {
-            if (streamData.speakingEndListener && recordingState.connection) {
-                recordingState.connection.receiver.speaking.removeListener('end', streamData.speakingEndListener);
-            }
-        } catch (err) {
-            console.error(`Error removing listener for ${streamData.user.displayName}:`, err.message);
-        }
+    const speakerBursts = session.bursts.filter(burst => burst.userId === userId);
 
-        // Properly end the output stream
+    speakerBursts.forEach(({ file }) => {
         try {
-            streamData.outputStream.end();
+            fs.unlinkSync(path.join(PCM_FOLDER, file));
         } catch (err) {
-            console.error(`Error ending output stream for ${streamData.user.displayName}:`, err.message);
+            // File might already be deleted
         }
+    });
 
-        // Manually destroy the audio stream
-        try {
-            streamData.stream.destroy();
-        } catch (err) {
-            console.error(`Error destroying stream for ${streamData.user.displayName}:`, err.message);
-        }
+    if (speakerBursts.length > 0) {
+        session.bursts = session.bursts.filter(burst => burst.userId !== userId);
+        saveManifest(session);
 
-        // Check if file is empty and delete it
-        if (streamData.pcmFilePath) {
-            setTimeout(() => {
-                try {
-                    if (fs.existsSync(streamData.pcmFilePath)) {
-                        const stats = fs.statSync(streamData.pcmFilePath);
-                        if (stats.size === 0) {
-                            fs.unlinkSync(streamData.pcmFilePath);
-                            console.log(`🗑️ Deleted empty PCM file for ${streamData.user.displayName}`);
-                        }
-                    }
-                } catch (err) {
-                    // File might already be deleted
+        // Segments already mixed or transcribed with them are redone without them
+        const speakerFiles = new Set(speakerBursts.map(({ file }) => file));
+        new Set(speakerBursts.map(({ segment }) => segment)).forEach(segment => {
+            try {
+                const segmentWavPath = getSegmentWavPath(session, segment);
+                if (fs.existsSync(segmentWavPath)) fs.unlinkSync(segmentWavPath);
+
+                const transcriptPath = getSegmentTranscriptPath(session, segment);
+                if (fs.existsSync(transcriptPath)) {
+                    const stored = JSON.parse(fs.readFileSync(transcriptPath, 'utf8'));
+                    fs.writeFileSync(transcriptPath, JSON.stringify({
+                        ...stored,
+                        files: stored.files.filter(file => !speakerFiles.has(file)),
+                        utterances: stored.utterances.filter(({ file }) => !speakerFiles.has(file))
+                    }, null, 2));
                 }
-            }, 100);
-        }
-
-        recordingState.activeStreams.delete(userId);
-    });
+            } catch (error) {
+                console.error(`❌ Failed to remove ${speakerBursts[0].displayName} from segment ${segment}:`, error.message);
+            }
+        });
 
-    // Generate final summary from all segments
-    try {
-        console.log('🔄 Generating final meeting summary...');
+        console.log(`🔕 Removed ${speakerBursts.length} recording(s) of ${speakerBursts[0].displayName} from ${session.channelName}`);
+    }
+}
 
-        // Validate recording state before processing
-        if (!recordingState.channelName || !recordingState.timestamp) {
-            console.error('❌ Invalid recording state - channelName or timestamp is null');
-            console.log('⚠️ Cannot generate summary without valid channel/timestamp');
-            return;
+/**
+ * Bring a restored burst index in line with the PCM files on disk.
+ * Bursts cut off by a crash never had their size recorded, and files may
+ * have been removed since the manifest was written.
+ * @param {Object} session - A session rebuilt from its manifest
+ */
+function syncBurstIndex(session) {
+    session.bursts = session.bursts.filter(burst => {
+        try {
+            burst.bytes = fs.statSync(path.join(PCM_FOLDER, burst.file)).size;
+            return burst.bytes > 0;
+        } catch (err) {
+            // File is gone
+            return false;
         }
+    });
+}
 
-        // Find all processed WAV files for this meeting
-        const meetingFiles = fs.readdirSync(PCM_FOLDER)
-            .filter(file => file.includes(`${recordingState.channelName}_${recordingState.timestamp}`) && file.endsWith('_processed.wav'));
-
-        if (meetingFiles.length > 0) {
-            console.log(`📁 Found ${meetingFiles.length} processed segments for final summary`);
-
-            // Create final merged audio for transcription
-            const finalAudioFile = path.join(PCM_FOLDER, `${recordingState.channelName}_${recordingState.timestamp}_final.wav`);
+/**
+ * Add a member to a session's attendees and start their attendance interval
+ * @param {Object} session - The recording session
+ * @param {import('discord.js').GuildMember} member - Member who joined
+ */
+function trackJoin(session, member) {
+    if (recordJoin(session.attendance, member.id, member.displayName)) {
+        console.log(`👋 ${member.displayName} joined the meeting in ${session.channelName}`);
+    }
+    session.attendees.add(member.displayName);
+    saveManifest(session);
+}
 
-            if (meetingFiles.length === 1) {
-                // Single segment - just rename it
-                fs.renameSync(path.join(PCM_FOLDER, meetingFiles[0]), finalAudioFile);
-            } else {
-                // Multiple segments - concatenate them
-                await new Promise((resolve, reject) => {
-                    const ffmpeg = spawn(ffmpegPath, [
-                        '-y',
-                        ...meetingFiles.flatMap(file => ['-i', path.join(PCM_FOLDER, file)]),
-                        '-filter_complex', `concat=n=${meetingFiles.length}:v=0:a=1[out]`,
-                        '-map', '[out]',
-                        finalAudioFile
-                    ]);
-
-                    ffmpeg.on('close', async (code) => {
-                        if (code === 0) {
-                            console.log(`✅ Final audio merged successfully`);
-                            resolve();
-                        } else {
-                            reject(new Error(`FFmpeg merge failed with code ${code}`));
-                        }
-                    });
+/**
+ * Take a meeting off the record: close active streams and stop the segment clock
+ * @param {Object} session - The recording session
+ * @returns {boolean} False if the session was already paused
+ */
+function pauseRecording(session) {
+    if (session.isPaused) return false;
 
-                    ffmpeg.on('error', reject);
-                });
-            }
+    session.isPaused = true;
+    session.pauses.push({ start: Date.now(), end: null });
 
-            // Transcribe the final audio
-            const transcript = await transcribeAudio(finalAudioFile);
+    // Freeze the segment clock so the paused time doesn't end the current segment
+    if (session.segmentProcessingTimer) {
+        clearTimeout(session.segmentProcessingTimer);
+        session.segmentProcessingTimer = null;
+    }
+    session.segmentRemainingMs = Math.max(0, session.segmentEndsAt - Date.now());
 
-            // Generate summary with attendees
-            const attendees = Array.from(recordingState.attendees);
-            const summary = await summarizeTranscript(transcript, attendees, recordingState.channelName, recordingState.timestamp);
+    session.activeStreams.forEach(streamData => streamData.endHandler());
 
-            // Validate summary and state before saving
-            if (!summary || summary.trim().length === 0) {
-                console.error('❌ Generated summary is empty, skipping save');
-            } else if (!recordingState.channelName || !recordingState.timestamp) {
-                console.error('❌ Cannot save summary - channelName or timestamp is null');
-            } else {
-                // Save temporary summary file (will be cleaned up after appending to meetings file)
-                const summaryFileName = `${recordingState.channelName}_${recordingState.timestamp}_summary.txt`;
-                const summaryPath = path.join(SUMMARY_FOLDER, summaryFileName);
-                fs.writeFileSync(summaryPath, summary);
+    saveManifest(session);
+    console.log(`⏸️ Recording paused in ${session.channelName}`);
+    return true;
+}
 
-                // Also save to channel-specific meetings file
-                await saveSummaryLocally(summary, attendees, recordingState.channelName, recordingState.timestamp);
+/**
+ * Put a paused meeting back on the record
+ * @param {Object} session - The recording session
+ * @returns {boolean} False if the session was not paused
+ */
+function resumeRecording(session) {
+    if (!session.isPaused) return false;
 
-                // Clean up temporary summary file after it's been appended to meetings file
-                try {
-                    if (fs.existsSync(summaryPath)) {
-                        fs.unlinkSync(summaryPath);
-                        console.log(`🗑️ Cleaned up temporary summary file: ${summaryFileName}`);
-                    }
-                } catch (err) {
-                    console.error(`❌ Failed to delete temporary summary file: ${err.message}`);
-                }
+    session.isPaused = false;
+    session.pauses[session.pauses.length - 1].end = Date.now();
+    scheduleSegmentProcessing(session, session.segmentRemainingMs);
 
-                console.log(`✅ Summary appended to meetings file`);
-                console.log(`👥 Attendees: ${attendees.join(', ')}`);
-            }
+    saveManifest(session);
+    console.log(`▶️ Recording resumed in ${session.channelName}`);
+    return true;
+}
 
-            // Clean up processed files
-            meetingFiles.forEach(file => {
-                try {
-                    const filePath = path.join(PCM_FOLDER, file);
-                    if (fs.existsSync(filePath)) {
-                        fs.unlinkSync(filePath);
-                        console.log(`🗑️ Cleaned up processed file: ${file}`);
-                    }
-                } catch (err) {
-                    if (err.code !== 'ENOENT') {
-                        console.error(`❌ Failed to delete ${file}:`, err.message);
-                    }
-                }
-            });
+/**
+ * Bookmark the current moment of a meeting
+ * @param {Object} session - The recording session
+ * @param {string} note - What the moment is about
+ * @param {string} author - Display name of whoever added the bookmark
+ * @returns {string} Meeting time of the bookmark (HH:MM:SS)
+ */
+function addMark(session, note, author) {
+    const mark = { time: Date.now(), note, author };
+    session.marks.push(mark);
+    saveManifest(session);
+
+    const offset = formatOffset(toMeetingOffset(mark.time, session.startedAt, session.pauses));
+    console.log(`🔖 ${author} bookmarked ${session.channelName} at ${offset}: ${note}`);
+    return offset;
+}
 
-            // Clean up final audio file
-            try {
-                if (fs.existsSync(finalAudioFile)) {
-                    fs.unlinkSync(finalAudioFile);
-                    console.log(`🗑️ Cleaned up final audio file`);
-                }
-            } catch (err) {
-                if (err.code !== 'ENOENT') {
-                    console.error(`❌ Failed to delete final audio file:`, err);
-                }
-            }
+/**
+ * List a meeting's speech bursts in chronological order. Speakers who have opted out
+ * are left out, so an opt-out also covers stopped meetings not yet transcribed.
+ * @param {Object} session - The recording session
+ * @returns {Array<{file: string, userId: string, speaker: string, segment: number, startTime: number, bytes: number}>} Bursts with their PCM size
+ */
+function listSpeechBursts(session) {
+    return session.bursts
+        .filter(({ bytes, userId }) => bytes > 0 && !isOptedOut(userId))
+        .map(({ file, userId, displayName, segment, startTime, bytes }) => ({ file, userId, speaker: displayName, segment, startTime, bytes }))
+        .sort((a, b) => a.startTime - b.startTime);
+}
 
-            console.log('🎉 Meeting summary generation completed!');
+/**
+ * Work out the meeting's conversation dynamics and save them next to the summary
+ * @param {Object} session - A stopped recording session
+ * @returns {Object|null} Analytics report, or null if it couldn't be produced
+ */
+function saveMeetingAnalytics(session) {
+    try {
+        const analytics = analyzeMeeting(listSpeechBursts(session), {
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            pauses: session.pauses
+        });
 
-        } else {
-            console.log('⚠️ No processed segments found for summary generation');
-        }
+        const analyticsPath = getAnalyticsPath(session);
+        fs.writeFileSync(analyticsPath, JSON.stringify({
+            channel: session.channelName,
+            timestamp: session.timestamp,
+            ...analytics
+        }, null, 2));
+        console.log(`📊 Meeting analytics saved: ${path.basename(analyticsPath)}`);
 
+        return analytics;
     } catch (error) {
-        console.error('❌ Error generating final summary:', error);
+        console.error('❌ Error computing meeting analytics:', error.message);
+        return null;
     }
-
-    // Reset recording state
-    recordingState.isRecording = false;
-    recordingState.connection = null;
-    recordingState.channelId = null;
-    recordingState.channelName = null;
-    recordingState.timestamp = null;
-    recordingState.segmentCounter = 0;
-    recordingState.activeStreams.clear();
-    recordingState.attendees.clear();
 }
 
-// Discord.js event handlers
-client.once('ready', async () => {
-    console.log(`🤖 Bot logged in as ${client.user.tag}`);
-
-    // Clean up any existing temporary summary files and null files
-    cleanupTemporarySummaryFiles();
+/**
+ * Transcribe speech bursts one by one, keeping who said it, when and in which language.
+ * With language "auto" the language is detected for every burst, so people can switch.
+ * The guild's glossary is passed to the backend as a prompt.
+ * @param {Object} session - The recording session
+ * @param {Array<{file: string, speaker: string, startTime: number, bytes: number}>} bursts - Bursts from listSpeechBursts
+ * @returns {Promise<{utterances: Array<{file: string, speaker: string, startTime: number, endTime: number, text: string, language: string|null, segments: Array<{start: number, end: number, text: string}>}>, failedFiles: string[]}>}
+ *          Transcribed bursts, with segment times in ms from the burst start, and the bursts the backend failed on
+ */
+async function transcribeBursts(session, bursts) {
+    const language = session.transcriptionLanguage;
+    const prompt = buildTranscriptionPrompt(getGlossary(session.guildId));
+    const utterances = [];
+    const failedFiles = [];
+    for (const { file, speaker, startTime, bytes } of bursts) {
+        const pcmPath = path.join(PCM_FOLDER, file);
+        const wavPath = pcmPath.replace(/\.pcm$/, '_burst.wav');
 
-    // Initialize scheduler for 6 AM - 4 PM operation
-    initializeScheduler(async () => {
-        console.log('🛑 End of operating hours (4 PM). Stopping recordings and running cleanup...');
+        try {
+            if (bytes < MIN_BURST_BYTES) {
+                continue;
+            }
 
-        // Stop any active recording
-        if (recordingState.isRecording) {
+            await convertPcmToWav(pcmPath, wavPath);
+            const result = await transcribe(wavPath, { language, prompt });
+            if (result.text) {
+                const endTime = startTime + Math.round(bytes / PCM_BYTES_PER_SECOND * 1000);
+                utterances.push({ file, speaker, startTime, endTime, text: result.text, language: result.language, segments: result.segments });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to transcribe burst ${file}:`, error.message);
+            failedFiles.push(file);
+        } finally {
             try {
-                await stopRecording();
-
-                // Disconnect from voice channels
-                if (recordingState.connection) {
-                    const connection = getVoiceConnection(recordingState.connection.joinConfig.guildId);
-                    if (connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
-                        connection.destroy();
-                        console.log('✅ Left voice channel');
-                    }
-                }
+                if (fs.existsSync(wavPath)) fs.unlinkSync(wavPath);
             } catch (err) {
-                console.error('❌ Error stopping recording:', err);
+                // Ignore cleanup errors
             }
         }
+    }
 
-        // Note: Bot stays online but won't record until 6 AM next day
-        console.log('⏰ Bot is now in standby mode. Will resume recording at 6 AM.');
-    });
+    return { utterances, failedFiles };
+}
 
-    // Automatically deploy slash commands on startup
-    try {
-        console.log('🔄 Auto-deploying slash commands...');
-        const { REST, Routes } = require('discord.js');
-        const { commands } = require('./commands.js');
+/**
+ * Path of the stored transcript for one of a session's segments
+ */
+function getSegmentTranscriptPath(session, segment) {
+    return path.join(PCM_FOLDER, `${session.channelName}_${session.timestamp}_segment_${segment}_transcript.json`);
+}
 
-        const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+/**
+ * Transcribe a mixed segment's finished bursts and store the result next to its audio.
+ * Bursts still in progress when the segment was mixed are picked up at the end of the meeting.
+ * @param {Object} session - The recording session
+ * @param {number} segment - Segment number
+ */
+async function transcribeSegment(session, segment) {
+    const bursts = listSpeechBursts(session).filter(burst => burst.segment === segment);
+
+    console.log(`🗣️ Transcribing segment ${segment} of ${session.channelName} (${bursts.length} bursts)...`);
+    const { utterances: transcribed, failedFiles } = await transcribeBursts(session, bursts);
+
+    // Leave out speakers who opted out while their bursts were being transcribed
+    const currentFiles = new Set(session.bursts.map(({ file }) => file));
+    const utterances = transcribed.filter(({ file }) => currentFiles.has(file));
+
+    // Bursts the backend failed on aren't recorded as done, so they are retried when the meeting is finalized
+    const failed = new Set(failedFiles);
+    fs.writeFileSync(getSegmentTranscriptPath(session, segment), JSON.stringify({
+        segment,
+        files: bursts.map(({ file }) => file).filter(file => !failed.has(file)),
+        utterances
+    }, null, 2));
+    console.log(`✅ Segment ${segment} transcribed (${utterances.length} utterances${failed.size > 0 ? `, ${failed.size} bursts left for later` : ''})`);
+}
 
-        await rest.put(
-            Routes.applicationCommands(client.user.id),
-            { body: commands },
-        );
+/**
+ * Transcribe a segment in the background, after any segment queued before it
+ * @param {Object} session - The recording session
+ * @param {number} segment - Segment number
+ */
+function queueSegmentTranscription(session, segment) {
+    session.transcriptionQueue = session.transcriptionQueue
+        .then(() => transcribeSegment(session, segment))
+        .catch(error => {
+            // The bursts are transcribed again when the meeting is finalized
+            console.error(`❌ Error transcribing segment ${segment}:`, error.message);
+        });
+}
 
-        console.log('✅ Slash commands auto-deployed successfully!');
-    } catch (error) {
-        console.error('❌ Error auto-deploying commands:', error);
-    }
+/**
+ * Fix known misspellings of glossary terms in transcribed bursts
+ * @param {Array<{text: string, segments: Array<{text: string}>}>} utterances - Transcribed bursts
+ * @param {Array<{term: string, misspellings: string[]}>} glossary - The guild's glossary
+ * @returns {Array} The corrected bursts
+ */
+function correctUtterances(utterances, glossary) {
+    if (glossary.length === 0) return utterances;
+
+    return utterances.map(utterance => ({
+        ...utterance,
+        text: applyGlossary(utterance.text, glossary),
+        segments: (utterance.segments || []).map(segment => ({ ...segment, text: applyGlossary(segment.text, glossary) }))
+    }));
+}
 
-    // Check for existing meetings when bot starts up (only if within operating hours)
-    if (shouldBeActive()) {
-        console.log('🔍 Checking for existing meetings...');
+/**
+ * Replace personal data and secrets in transcribed bursts with placeholders
+ * @param {Array<{text: string, segments: Array<{text: string}>}>} utterances - Transcribed bursts
+ * @param {Object} redactor - The meeting's redactor (see redaction.js createRedactor)
+ * @returns {Array} The redacted bursts
+ */
+function redactUtterances(utterances, redactor) {
+    return utterances.map(utterance => ({
+        ...utterance,
+        text: redactor.redact(utterance.text),
+        // Segments repeat the burst's text, so they aren't counted again in the report
+        segments: (utterance.segments || []).map(segment => ({ ...segment, text: redactor.redact(segment.text, { count: false }) }))
+    }));
+}
+
+/**
+ * Transcribe a whole meeting by speaker, reusing segments already transcribed in the background.
+ * The glossary correction pass runs over everything at the end, so terms added during
+ * the meeting also fix segments transcribed before them.
+ * @param {Object} session - A stopped recording session
+ * @returns {Promise<Array<{speaker: string, startTime: number, text: string}>>} Transcribed bursts
+ * @throws {Error} If the backend failed on any burst, so the job is retried rather than saving a partial transcript
+ */
+async function transcribeSpeakerBursts(session) {
+    const utterances = [];
+    const transcribedFiles = new Set();
+    // Only bursts still in the meeting: stored text of speakers who opted out since is dropped
+    const meetingFiles = new Set(listSpeechBursts(session).map(({ file }) => file));
+    for (let segment = 0; segment <= session.segmentCounter; segment++) {
+        const transcriptPath = getSegmentTranscriptPath(session, segment);
+        if (!fs.existsSync(transcriptPath)) continue;
 
         try {
-            for (const guild of client.guilds.cache.values()) {
+            const stored = JSON.parse(fs.readFileSync(transcriptPath, 'utf8'));
+            stored.files.forEach(file => transcribedFiles.add(file));
+            utterances.push(...stored.utterances.filter(({ file }) => meetingFiles.has(file)));
+        } catch (error) {
+            console.error(`⚠️ Ignoring unreadable transcript for segment ${segment}:`, error.message);
+        }
+    }
+
+    const remaining = listSpeechBursts(session).filter(({ file }) => !transcribedFiles.has(file));
+    console.log(`🗣️ Reusing ${transcribedFiles.size} transcribed bursts, transcribing ${remaining.length} remaining bursts by speaker...`);
+    const { utterances: transcribed, failedFiles } = await transcribeBursts(session, remaining);
+    if (failedFiles.length > 0) {
+        throw new Error(`Failed to transcribe ${failedFiles.length} of ${remaining.length} speech bursts`);
+    }
+    utterances.push(...transcribed);
+
+    return correctUtterances(utterances, getGlossary(session.guildId)).sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Stop recording and hand the meeting to the job queue for mixing, transcription and summary
+ * @param {Object} session - The recording session to stop
+ */
+async function stopRecording(session) {
+    if (!session || !session.isRecording || session.isStopping) {
+        console.log('⚠️ Not currently recording!');
+        return;
+    }
+
+    session.isStopping = true;
+
+    // Validate recording state
+    if (!session.channelName || !session.timestamp) {
+        console.error('❌ Invalid recording state - missing channelName or timestamp');
+        // Try to continue anyway, but log the issue
+        console.log('⚠️ Recording state is incomplete, attempting to proceed...');
+    }
+
+    console.log(`🛑 Stopping recording in ${session.channelName}...`);
+
+    // Clear the segment processing timer
+    if (session.segmentProcessingTimer) {
+        clearTimeout(session.segmentProcessingTimer);
+        session.segmentProcessingTimer = null;
+    }
+
+    // A meeting stopped while paused ends its off-the-record period now
+    if (session.isPaused) {
+        session.isPaused = false;
+        session.pauses[session.pauses.length - 1].end = Date.now();
+    }
+
+    // Everyone still in the channel leaves the meeting now
+    session.endedAt = Date.now();
+    closeAttendance(session.attendance, session.endedAt);
+
+    // Finish every burst still in progress so its size and talk time are recorded
+    session.activeStreams.forEach((streamData) => {
+        console.log(`🔇 Closing stream for ${streamData.user.displayName}`);
+        streamData.endHandler();
+    });
+
+    // Give the output streams a moment to flush
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    // Free the channel for a new session; the rest happens in the background
+    session.isRecording = false;
+    removeSession(session);
+    saveManifest(session);
+
+    queueMeetingFinalization(session);
+}
+
+/**
+ * Hand a stopped meeting to the job queue.
+ * The session manifest is only removed once the save step succeeds, so every
+ * step can be retried (or picked up after a restart) without re-recording.
+ * @param {Object} session - A stopped recording session
+ */
+function queueMeetingFinalization(session) {
+    const meetingId = getMeetingId(session);
+
+    // Segments still being transcribed in the background are awaited by the transcribe job
+    backgroundTranscriptions.set(meetingId, session.transcriptionQueue);
+
+    enqueueJob('mix', { meetingId });
+    console.log(`📤 Meeting in ${session.channelName} handed to the job queue`);
+}
+
+/**
+ * Rebuild a queued meeting's session from its manifest
+ * @param {string} meetingId - Meeting ID
+ * @returns {Object} A stopped session
+ */
+function loadQueuedMeeting(meetingId) {
+    const manifest = loadManifest(meetingId);
+    if (!manifest) {
+        throw new Error(`Meeting ${meetingId} has no manifest`);
+    }
+
+    const session = sessionFromManifest(manifest);
+    syncBurstIndex(session);
+    return session;
+}
+
+/**
+ * Path of a meeting's final merged audio
+ */
+function getFinalAudioPath(session) {
+    return path.join(PCM_FOLDER, `${session.channelName}_${session.timestamp}_final.wav`);
+}
+
+/**
+ * Path of a meeting's analytics report
+ */
+function getAnalyticsPath(session) {
+    return path.join(SUMMARY_FOLDER, `${session.channelName}_${session.timestamp}_analytics.json`);
+}
+
+/**
+ * Job: mix the remaining segments, merge them into the final audio, archive it
+ * and work out the meeting analytics
+ * @param {{meetingId: string}} payload
+ */
+async function runMixJob({ meetingId }) {
+    const session = loadQueuedMeeting(meetingId);
+    console.log(`🔄 Mixing meeting audio for ${session.channelName}...`);
+
+    const finalAudioFile = getFinalAudioPath(session);
+
+    if (!fs.existsSync(finalAudioFile)) {
+        // Mix any segment that was never processed: the last one, or more after a crash
+        for (let segment = 0; segment <= session.segmentCounter; segment++) {
+            if (fs.existsSync(getSegmentWavPath(session, segment))) continue;
+            await processSegmentChronologically(session, segment);
+        }
+
+        // Find all processed WAV files for this meeting, in segment order
+        const meetingFiles = [];
+        for (let segment = 0; segment <= session.segmentCounter; segment++) {
+            const segmentWavFile = getSegmentWavPath(session, segment);
+            if (fs.existsSync(segmentWavFile)) meetingFiles.push(segmentWavFile);
+        }
+
+        if (meetingFiles.length === 0) {
+            console.log('⚠️ No processed segments found for summary generation');
+            deleteManifest(session);
+            return;
+        }
+
+        console.log(`📁 Found ${meetingFiles.length} processed segments for final summary`);
+
+        if (meetingFiles.length === 1) {
+            // Single segment - just copy it
+            fs.copyFileSync(meetingFiles[0], finalAudioFile);
+        } else {
+            // Multiple segments - concatenate them
+            await new Promise((resolve, reject) => {
+                const ffmpeg = spawn(ffmpegPath, [
+                    '-y',
+                    ...meetingFiles.flatMap(file => ['-i', file]),
+                    '-filter_complex', `concat=n=${meetingFiles.length}:v=0:a=1[out]`,
+                    '-map', '[out]',
+                    finalAudioFile
+                ]);
+
+                ffmpeg.on('close', (code) => {
+                    if (code === 0) {
+                        console.log(`✅ Final audio merged successfully`);
+                        resolve();
+                    } else {
+                        reject(new Error(`FFmpeg merge failed with code ${code}`));
+                    }
+                });
+
+                ffmpeg.on('error', reject);
+            });
+        }
+    }
+
+    // Keep a compressed copy before anything else can fail
+    if (isArchiveEnabled()) {
+        try {
+            await archiveMeeting({
+                channelName: session.channelName,
+                timestamp: session.timestamp,
+                startedAt: session.startedAt,
+                finalAudioFile,
+                bursts: listSpeechBursts(session).map(({ file, speaker, startTime }) => ({
+                    pcmPath: path.join(PCM_FOLDER, file),
+                    speaker,
+                    startTime
+                })),
+                pauses: session.pauses
+            });
+        } catch (error) {
+            console.error('❌ Error archiving meeting audio:', error.message);
+        }
+    }
+
+    saveMeetingAnalytics(session);
+
+    enqueueJob('transcribe', { meetingId });
+}
+
+/**
+ * Job: transcribe each speaker separately and lay the bursts out on the meeting timeline.
+ * The transcript is kept in a meeting record (meetings.js) with everything needed to summarize
+ * it, so the recording itself can be cleaned up and the summary redone at any time.
+ * Personal data and secrets are redacted first (unless REDACTION_ENABLED=false), so only the
+ * redacted transcript is ever summarized or uploaded.
+ * @param {{meetingId: string}} payload
+ */
+async function runTranscribeJob({ meetingId }) {
+    const session = loadQueuedMeeting(meetingId);
+
+    // Let background transcription of this meeting's segments finish first
+    await backgroundTranscriptions.get(meetingId);
+    backgroundTranscriptions.delete(meetingId);
+
+    const rawUtterances = await transcribeSpeakerBursts(session);
+
+    let utterances = rawUtterances;
+    let marks = session.marks;
+    let redaction = null;
+    if (REDACTION_ENABLED) {
+        const redactor = createRedactor(session.guildId);
+        utterances = redactUtterances(rawUtterances, redactor);
+        marks = session.marks.map(mark => ({ ...mark, note: redactor.redact(mark.note) }));
+        redaction = redactor.getReport();
+        console.log(`🕶️ Redacted ${redaction.total} item(s) from the transcript${redaction.total > 0 ? ` (${formatRedactionCounts(redaction)})` : ''}`);
+    }
+
+    const transcript = buildDialogueTranscript(utterances, session.startedAt, {
+        pauses: session.pauses,
+        marks
+    });
+    saveTimedTranscripts(session, utterances);
+
+    const analyticsPath = getAnalyticsPath(session);
+    const attendance = summarizeAttendance(session.attendance, session.endedAt)
+        .map(row => ({ ...row, notRecorded: isOptedOut(row.userId) }));
+
+    saveMeeting({
+        meetingId,
+        guildId: session.guildId,
+        channelId: session.channelId,
+        channelName: session.channelName,
+        timestamp: session.timestamp,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        attendees: Array.from(session.attendees),
+        attendance,
+        analytics: fs.existsSync(analyticsPath) ? JSON.parse(fs.readFileSync(analyticsPath, 'utf8')) : null,
+        languages: summarizeLanguages(utterances),
+        offRecord: describePauses(session.pauses, session.startedAt),
+        marks: describeMarks(marks, session.startedAt, session.pauses),
+        template: session.template,
+        summaryLanguage: session.summaryLanguage,
+        transcript,
+        // The unredacted transcript stays on this machine: it is never summarized or uploaded
+        rawTranscript: redaction && REDACTION_KEEP_RAW
+            ? buildDialogueTranscript(rawUtterances, session.startedAt, { pauses: session.pauses, marks: session.marks })
+            : null,
+        redaction,
+        status: 'pending-summary',
+        lastError: null,
+        pendingParts: null,
+        pendingSummary: null,
+        summaries: [],
+        createdAt: new Date().toISOString()
+    });
+    console.log(`💾 Transcript saved for meeting ${meetingId}`);
+
+    cleanupRecording(session);
+    enqueueJob('summarize', { meetingId });
+}
+
+/**
+ * Delete a transcribed meeting's processed audio, stored segment transcripts and manifest
+ * @param {Object} session - A stopped recording session
+ */
+function cleanupRecording(session) {
+    const processedFiles = [getFinalAudioPath(session)];
+    for (let segment = 0; segment <= session.segmentCounter; segment++) {
+        processedFiles.push(getSegmentWavPath(session, segment), getSegmentTranscriptPath(session, segment));
+    }
+    processedFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+                console.log(`🗑️ Cleaned up processed file: ${path.basename(filePath)}`);
+            }
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`❌ Failed to delete ${path.basename(filePath)}:`, err.message);
+            }
+        }
+    });
+
+    deleteManifest(session);
+}
+
+/**
+ * Describe a redaction report's counts, e.g. "2 EMAIL, 1 PHONE"
+ * @param {{byType: Object<string, number>}} redaction - Redaction report
+ * @returns {string} Counts per placeholder type
+ */
+function formatRedactionCounts(redaction) {
+    return Object.entries(redaction.byType).map(([type, count]) => `${count} ${type}`).join(', ');
+}
+
+/**
+ * Save the meeting transcript next to the summary as JSON, SRT and WebVTT,
+ * with times relative to the meeting start (paused time doesn't count)
+ * @param {Object} session - A stopped recording session
+ * @param {Array<Object>} utterances - Transcribed bursts from transcribeSpeakerBursts
+ */
+function saveTimedTranscripts(session, utterances) {
+    const cues = buildTimedTranscript(utterances, session.startedAt, { pauses: session.pauses });
+    const basePath = path.join(SUMMARY_FOLDER, `${session.channelName}_${session.timestamp}_transcript`);
+
+    fs.writeFileSync(`${basePath}.json`, JSON.stringify({
+        channel: session.channelName,
+        timestamp: session.timestamp,
+        startedAt: new Date(session.startedAt).toISOString(),
+        pauses: describePauses(session.pauses, session.startedAt),
+        segments: cues
+    }, null, 2));
+    fs.writeFileSync(`${basePath}.srt`, formatSrt(cues));
+    fs.writeFileSync(`${basePath}.vtt`, formatVtt(cues));
+    console.log(`📝 Timed transcript saved: ${path.basename(basePath)}.json/.srt/.vtt`);
+}
+
+/**
+ * Load a meeting record for a summary job
+ * @param {string} meetingId - Meeting ID
+ * @returns {Object} The record
+ */
+function loadMeetingRecord(meetingId) {
+    const meeting = loadMeeting(meetingId);
+    if (!meeting) {
+        throw new Error(`Meeting ${meetingId} has no saved transcript`);
+    }
+    return meeting;
+}
+
+/**
+ * Job: summarize a meeting's transcript with its template, as a narrative or as structured
+ * minutes (the template's format, else SUMMARY_FORMAT). Long transcripts are summarized part
+ * by part first; the part notes are kept, so a retry only redoes the final step.
+ * The channel's open action items from earlier meetings are given to the model, so the summary
+ * can say what was done. The meeting stays "pending summary" until the summary is saved;
+ * failures are recorded on it.
+ * @param {{meetingId: string, template?: string, provider?: string, replace?: boolean}} payload -
+ *        /resummarize can pick another template or LLM provider, and replace the meeting's entry
+ */
+async function runSummarizeJob({ meetingId, template: templateName = null, provider = null, replace = false }) {
+    const meeting = loadMeetingRecord(meetingId);
+
+    try {
+        // Fall back to the default template if the chosen one was removed or broken since
+        const wantedTemplate = templateName || meeting.template || DEFAULT_TEMPLATE;
+        const template = getTemplate(wantedTemplate) || getTemplate('default');
+        if (template.name !== wantedTemplate) {
+            console.error(`⚠️ Summary template "${wantedTemplate}" is missing or invalid, using "${template.name}"`);
+        }
+
+        const { provider: providerName, model } = getLlmInfo(provider || undefined);
+        const context = {
+            template,
+            provider: providerName,
+            offRecord: meeting.offRecord,
+            marks: meeting.marks,
+            languages: meeting.languages,
+            glossary: getGlossary(meeting.guildId).map(({ term }) => term),
+            redacted: Boolean(meeting.redaction && meeting.redaction.total > 0),
+            openActionItems: listActionItems(meeting.guildId, { channelId: meeting.channelId, status: 'open' })
+                .filter(item => item.meetingId !== meetingId && Date.parse(item.meetingDate) < meeting.startedAt),
+            outputLanguage: meeting.summaryLanguage || undefined
+        };
+
+        // Map step for long transcripts, kept until the summary is saved
+        const partsKey = `${providerName}:${model}`;
+        if (!meeting.pendingParts || meeting.pendingParts.key !== partsKey) {
+            const parts = await summarizeTranscriptParts(meeting.transcript, meeting.attendees, meeting.channelName, meeting.timestamp, context);
+            meeting.pendingParts = { key: partsKey, parts: parts || [] };
+            saveMeeting(meeting);
+        }
+        if (meeting.pendingParts.parts.length > 0) {
+            context.parts = meeting.pendingParts.parts;
+        }
+
+        // Generate summary with attendees
+        let summary;
+        let minutes = null;
+        if ((template.format || SUMMARY_FORMAT) === 'minutes') {
+            minutes = await generateMinutes(meeting.transcript, meeting.attendees, meeting.channelName, meeting.timestamp, context);
+            summary = formatMinutes(minutes);
+        } else {
+            summary = await summarizeTranscript(meeting.transcript, meeting.attendees, meeting.channelName, meeting.timestamp, context);
+        }
+
+        if (!summary || summary.trim().length === 0) {
+            throw new Error('Generated summary is empty');
+        }
+
+        // Action items are tracked from the meeting's first summary, so re-summarizing doesn't add them twice
+        let actionItems = null;
+        if (!meeting.actionItemIds) {
+            try {
+                actionItems = minutes
+                    ? minutes.actionItems
+                    : await extractActionItems(summary, meeting.attendees, meeting.timestamp, { provider: providerName });
+            } catch (error) {
+                console.error('❌ Error extracting action items, they won\'t be tracked:', error.message);
+            }
+        }
+
+        meeting.pendingSummary = {
+            summary,
+            minutes,
+            actionItems,
+            parts: meeting.pendingParts.parts.map(({ start, end }) => ({ start, end })),
+            template: template.name,
+            provider: providerName,
+            model,
+            replace: Boolean(replace),
+            createdAt: new Date().toISOString()
+        };
+        meeting.pendingParts = null;
+        meeting.lastError = null;
+        saveMeeting(meeting);
+    } catch (error) {
+        meeting.status = 'pending-summary';
+        meeting.lastError = error.message;
+        saveMeeting(meeting);
+        throw error;
+    }
+
+    enqueueJob('save', { meetingId });
+}
+
+/**
+ * Find the Discord user an action item's assignee refers to, by their name in the meeting
+ * @param {Object} meeting - Meeting record
+ * @param {string|null} name - Assignee as named by the model
+ * @returns {string|null} User ID, or null if no attendee has that name
+ */
+function findAttendeeId(meeting, name) {
+    if (!name) return null;
+    const row = meeting.attendance.find(attendee => attendee.name.toLowerCase() === name.trim().toLowerCase());
+    return row ? row.userId : null;
+}
+
+/**
+ * Job: add the summary to the channel's meetings file (as a new version, or replacing the
+ * meeting's entry), start tracking its action items and mark the meeting as summarized
+ * @param {{meetingId: string}} payload
+ */
+async function runSaveJob({ meetingId }) {
+    const meeting = loadMeetingRecord(meetingId);
+
+    const pending = meeting.pendingSummary;
+    if (!pending) {
+        if (meeting.status === 'summarized') return; // Already saved
+        throw new Error('Summary is missing, run the summarize step first');
+    }
+
+    // Start tracking the meeting's action items, saved right away so a retry doesn't add them twice
+    if (pending.actionItems && !meeting.actionItemIds) {
+        const items = addActionItems(meeting.guildId, meeting, pending.actionItems.map(({ task, assignee, dueDate }) => ({
+            text: task,
+            owner: assignee,
+            ownerId: findAttendeeId(meeting, assignee),
+            dueDate
+        })));
+        meeting.actionItemIds = items.map(({ id }) => id);
+        saveMeeting(meeting);
+        console.log(`📌 Tracking ${items.length} action item(s) from this meeting`);
+    }
+
+    // Save to channel-specific meetings file, with the attendance timeline and talk time.
+    // Recorded right away, so a retry of a later step doesn't add the entry twice.
+    const version = meeting.summaries.length + 1;
+    if (!pending.savedToFile) {
+        await saveSummaryLocally(pending.summary, meeting.attendees, meeting.channelName, meeting.timestamp, {
+            attendance: meeting.attendance,
+            analytics: meeting.analytics,
+            languages: meeting.languages,
+            parts: pending.parts,
+            redaction: meeting.redaction,
+            actionItemIds: meeting.actionItemIds || [],
+            meetingId,
+            version,
+            replace: pending.replace
+        });
+        pending.savedToFile = true;
+        saveMeeting(meeting);
+    }
+
+    console.log(`✅ Summary appended to meetings file`);
+    console.log(`👥 Attendees: ${meeting.attendees.join(', ')}`);
+
+    // Structured minutes are also kept as JSON, next to the timed transcript
+    if (pending.minutes) {
+        const minutesPath = path.join(SUMMARY_FOLDER, `${meeting.channelName}_${meeting.timestamp}_minutes.json`);
+        fs.writeFileSync(minutesPath, JSON.stringify({
+            meetingId,
+            channel: meeting.channelName,
+            timestamp: meeting.timestamp,
+            startedAt: new Date(meeting.startedAt).toISOString(),
+            attendees: meeting.attendees,
+            version,
+            parts: pending.parts,
+            ...pending.minutes
+        }, null, 2));
+        console.log(`📋 Structured minutes saved: ${path.basename(minutesPath)}`);
+    }
+
+    const { replace, savedToFile, ...summary } = pending;
+    meeting.summaries.push({ version, ...summary });
+    meeting.pendingSummary = null;
+    meeting.status = 'summarized';
+    meeting.lastError = null;
+    saveMeeting(meeting);
+    console.log('🎉 Meeting summary generation completed!');
+
+    // Upload right away when Drive is already authorized (authorizing needs a terminal)
+    if (fs.existsSync(DRIVE_TOKEN_PATH)) {
+        enqueueJob('upload', { fileName: `${meeting.channelName}_meetings.txt` });
+    }
+}
+
+/**
+ * Queue the summary of every meeting still waiting for one, unless it is already queued.
+ * Dead-lettered summary jobs get a fresh set of attempts, so an LLM outage only delays summaries.
+ */
+function retryPendingSummaries() {
+    const jobs = listJobs();
+
+    listMeetings({ status: 'pending-summary' }).forEach(({ meetingId }) => {
+        let meeting;
+        try {
+            meeting = loadMeeting(meetingId);
+        } catch (error) {
+            console.error(`⚠️ Skipping unreadable meeting record ${meetingId}:`, error.message);
+            return;
+        }
+        if (!meeting) return;
+
+        const meetingJobs = jobs.filter(job => ['summarize', 'save'].includes(job.type) && job.payload.meetingId === meeting.meetingId);
+        if (meetingJobs.some(job => job.status !== 'dead')) return;
+
+        // A generated summary only needs saving; otherwise summarize again
+        const type = meeting.pendingSummary ? 'save' : 'summarize';
+        const deadJob = meetingJobs.find(job => job.type === type);
+        if (deadJob) {
+            retryDeadJobs(deadJob.id);
+        } else {
+            enqueueJob(type, { meetingId: meeting.meetingId });
+        }
+        console.log(`🔁 Retrying the summary of ${meeting.channelName} (${meeting.timestamp})${meeting.lastError ? ` - last error: ${meeting.lastError}` : ''}`);
+    });
+}
+
+/**
+ * Job: upload a file from the Summary folder to Google Drive
+ * @param {{fileName: string}} payload
+ */
+async function runUploadJob({ fileName }) {
+    await runUploader(fileName);
+}
+
+/**
+ * Hand a meeting left behind by a crash or restart to the job queue
+ * @param {Object} manifest - Manifest of the interrupted meeting
+ */
+function recoverMeeting(manifest) {
+    const session = sessionFromManifest(manifest);
+
+    // Nobody can be confirmed present after the last manifest write
+    session.endedAt = session.endedAt || Date.parse(manifest.updatedAt);
+    closeAttendance(session.attendance, session.endedAt);
+    console.log(`♻️ Finalizing interrupted meeting in ${session.channelName} (${session.timestamp})...`);
+
+    saveManifest(session);
+    queueMeetingFinalization(session);
+}
+
+/**
+ * Resume or finalize meetings that were interrupted by a crash or restart.
+ * A meeting is resumed if its channel is still in use during operating hours,
+ * otherwise it is finalized through the normal summary pipeline.
+ */
+async function recoverInterruptedMeetings() {
+    const manifests = loadUnfinishedManifests();
+    if (manifests.length === 0) return;
+
+    console.log(`♻️ Found ${manifests.length} interrupted meeting(s)`);
+    const toFinalize = [];
+
+    for (const manifest of manifests) {
+        const channel = client.channels.cache.get(manifest.channelId);
+        const membersCount = channel ? channel.members.filter(member => !member.user.bot).size : 0;
+
+        const canResume = manifest.status === 'recording' &&
+            shouldBeActive() &&
+            membersCount > 1 &&
+            !getGuildSession(manifest.guildId);
+
+        if (!canResume) {
+            toFinalize.push(manifest);
+            continue;
+        }
+
+        let connection = null;
+        try {
+            connection = joinVoiceChannel({
+                channelId: channel.id,
+                guildId: channel.guild.id,
+                adapterCreator: channel.guild.voiceAdapterCreator,
+                selfDeaf: false,
+                selfMute: false
+            });
+            await entersState(connection, VoiceConnectionStatus.Ready, 10_000);
+
+            const session = await startRecording(connection, channel.guild, channel.id, manifest);
+            if (!session) {
+                throw new Error('recording could not be started');
+            }
+        } catch (error) {
+            console.error(`❌ Failed to resume meeting in ${manifest.channelName}:`, error.message);
+            if (connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
+                connection.destroy();
+            }
+            toFinalize.push(manifest);
+        }
+    }
+
+    // Meetings that already have queued jobs are finished by the job worker
+    const queuedMeetings = new Set(listJobs().map(job => job.payload.meetingId));
+    toFinalize
+        .filter(manifest => !queuedMeetings.has(getMeetingId(manifest)))
+        .forEach(recoverMeeting);
+}
+
+/**
+ * Stop a session's recording and disconnect it from its voice channel
+ * @param {Object} session - The recording session to end
+ */
+async function stopAndLeave(session) {
+    const { connection, channelName } = session;
+
+    try {
+        await stopRecording(session);
+    } finally {
+        // Always try to leave the channel, even if the summary pipeline failed
+        if (connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
+            try {
+                connection.destroy();
+                console.log(`✅ Left voice channel ${channelName}`);
+            } catch (destroyError) {
+                console.warn('⚠️ Connection was already destroyed:', destroyError.message);
+            }
+        }
+    }
+}
+
+/**
+ * Find the session a command from this member refers to
+ * Prefers the member's own voice channel, otherwise whatever the guild is recording
+ * @returns {Object|undefined} The session, if any
+ */
+function getMemberSession(guild, member) {
+    return (member.voice.channelId && getSession(guild.id, member.voice.channelId)) || getGuildSession(guild.id);
+}
+
+/**
+ * Reply text for a join request in a guild that is already being recorded
+ * @returns {string|null} Message to send, or null if the join can proceed
+ */
+function describeActiveSession(guildId, channelId) {
+    const session = getGuildSession(guildId);
+    if (!session) return null;
+
+    if (session.channelId === channelId) {
+        return `⚠️ Already recording ${session.channelName}!`;
+    }
+    // Discord only allows one voice connection per guild
+    return `⚠️ Already recording ${session.channelName} in this server. Use /leave there first.`;
+}
+
+// Discord.js event handlers
+client.once('ready', async () => {
+    console.log(`🤖 Bot logged in as ${client.user.tag}`);
+
+    // Clean up any existing temporary summary files and null files
+    cleanupTemporarySummaryFiles();
+
+    // Initialize scheduler for 6 AM - 4 PM operation
+    initializeScheduler(async () => {
+        console.log('🛑 End of operating hours (4 PM). Stopping recordings and running cleanup...');
+
+        // Stop every active recording and disconnect from its voice channel
+        await Promise.all(getAllSessions().map(async (session) => {
+            try {
+                await stopAndLeave(session);
+            } catch (err) {
+                console.error(`❌ Error stopping recording in ${session.channelName}:`, err);
+            }
+        }));
+
+        // Note: Bot stays online but won't record until 6 AM next day
+        console.log('⏰ Bot is now in standby mode. Will resume recording at 6 AM.');
+    });
+
+    // Automatically deploy slash commands on startup
+    try {
+        console.log('🔄 Auto-deploying slash commands...');
+        const { REST, Routes } = require('discord.js');
+        const { commands } = require('./commands.js');
+
+        const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+
+        await rest.put(
+            Routes.applicationCommands(client.user.id),
+            { body: commands },
+        );
+
+        console.log('✅ Slash commands auto-deployed successfully!');
+    } catch (error) {
+        console.error('❌ Error auto-deploying commands:', error);
+    }
+
+    // Resume or finalize meetings interrupted by a crash or restart
+    try {
+        await recoverInterruptedMeetings();
+    } catch (error) {
+        console.error('❌ Error recovering interrupted meetings:', error.message);
+    }
+
+    // Load the transcription model once, before the first meeting needs it
+    startTranscriptionBackend();
+
+    // Work through queued post-meeting processing in the background
+    registerJobHandler('mix', runMixJob);
+    registerJobHandler('transcribe', runTranscribeJob);
+    registerJobHandler('summarize', runSummarizeJob);
+    registerJobHandler('save', runSaveJob);
+    registerJobHandler('upload', runUploadJob);
+    startJobWorker();
+
+    // Keep retrying summaries that failed, until the LLM is reachable again
+    retryPendingSummaries();
+    setInterval(retryPendingSummaries, SUMMARY_RETRY_INTERVAL_MS);
+
+    // Check for existing meetings when bot starts up (only if within operating hours)
+    if (shouldBeActive()) {
+        console.log('🔍 Checking for existing meetings...');
+
+        try {
+            for (const guild of client.guilds.cache.values()) {
                 for (const channel of guild.channels.cache.values()) {
                     if (channel.type === 2) { // Voice channel
                         const membersCount = channel.members.filter(member => !member.user.bot).size;
                         if (membersCount > 1) {
+                            // Discord only allows one voice connection per guild
+                            const guildSession = getGuildSession(guild.id);
+                            if (guildSession) {
+                                console.log(`⚠️ Skipping ${channel.name}: already recording ${guildSession.channelName} in ${guild.name}`);
+                                continue;
+                            }
+
                             console.log(`👥 Found existing meeting in ${channel.name} with ${membersCount} members. Auto-joining...`);
 
                             try {
@@ -845,6 +1838,11 @@ client.on('messageCreate', async (message) => {
             return message.reply('❌ You need to be in a voice channel!');
         }
 
+        const activeMessage = describeActiveSession(message.guild.id, voiceChannel.id);
+        if (activeMessage) {
+            return message.reply(activeMessage);
+        }
+
         try {
             const connection = joinVoiceChannel({
                 channelId: voiceChannel.id,
@@ -862,24 +1860,34 @@ client.on('messageCreate', async (message) => {
         }
     }
 
+    if (command === '!mark') {
+        const note = args.slice(1).join(' ').trim();
+        if (!note) {
+            return message.reply('❌ Usage: `!mark <note>`');
+        }
+
+        const session = getMemberSession(message.guild, message.member);
+        if (!session) {
+            return message.reply("❌ I'm not currently recording in this server.");
+        }
+
+        const offset = addMark(session, note, message.member.displayName);
+        message.reply(`🔖 Bookmarked ${offset}: ${note}`);
+    }
+
     if (command === '!leave') {
         const voiceChannel = message.member.voice.channel;
         if (!voiceChannel) {
             return message.reply('❌ You need to be in a voice channel!');
         }
 
+        const session = getSession(message.guild.id, voiceChannel.id);
+        if (!session) {
+            return message.reply("❌ I'm not recording your voice channel.");
+        }
+
         try {
-            await stopRecording();
-            // Get the connection and safely destroy it
-            const connection = getVoiceConnection(voiceChannel.guild.id);
-            if (connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
-                try {
-                    connection.destroy();
-                    console.log('✅ Manual leave: Connection destroyed');
-                } catch (destroyError) {
-                    console.warn('⚠️ Manual leave: Connection was already destroyed:', destroyError.message);
-                }
-            }
+            await stopAndLeave(session);
             message.reply('✅ Left voice channel and stopped recording!');
         } catch (error) {
             console.error('Error leaving voice channel:', error);
@@ -890,6 +1898,32 @@ client.on('messageCreate', async (message) => {
 
 // Handle slash command interactions
 client.on('interactionCreate', async (interaction) => {
+    // Suggest meetings, action items and template names while typing
+    if (interaction.isAutocomplete()) {
+        const focused = interaction.options.getFocused(true);
+        const typed = String(focused.value).toLowerCase();
+        let choices;
+        if (focused.name === 'meeting') {
+            choices = listMeetings({ guildId: interaction.guildId })
+                .map(meeting => ({
+                    name: `${meeting.channelName} – ${new Date(meeting.startedAt).toLocaleString()} (${meeting.status === 'summarized' ? `${meeting.summaryCount} summary version(s)` : 'summary pending'})`.slice(0, 100),
+                    value: meeting.meetingId
+                }))
+                .filter(({ name }) => name.toLowerCase().includes(typed));
+        } else if (focused.name === 'id') {
+            choices = listActionItems(interaction.guildId, { status: 'open' })
+                .map(item => ({ name: formatActionItem(item).slice(0, 100), value: item.id }))
+                .filter(({ name }) => name.toLowerCase().includes(typed))
+                .reverse(); // Newest first
+        } else {
+            choices = listTemplates()
+                .filter(({ name }) => name.includes(typed))
+                .map(({ name, description }) => ({ name: description ? `${name} – ${description}`.slice(0, 100) : name, value: name }));
+        }
+        await interaction.respond(choices.slice(0, 25)).catch(error => console.error('Failed to send autocomplete choices:', error.message));
+        return;
+    }
+
     if (!interaction.isCommand()) return;
     const { commandName, member, guild } = interaction;
 
@@ -909,6 +1943,19 @@ client.on('interactionCreate', async (interaction) => {
                 });
             }
 
+            const activeMessage = describeActiveSession(guild.id, member.voice.channelId);
+            if (activeMessage) {
+                return interaction.reply({ content: activeMessage, ephemeral: true });
+            }
+
+            const templateName = (interaction.options.getString('template') || '').trim().toLowerCase() || null;
+            if (templateName && !getTemplate(templateName)) {
+                return interaction.reply({
+                    content: `❌ Unknown template "${templateName}". Available: ${listTemplates().map(({ name }) => name).join(', ')}`,
+                    ephemeral: true
+                });
+            }
+
             await interaction.deferReply({ ephemeral: true });
 
             const connection = joinVoiceChannel({
@@ -919,28 +1966,275 @@ client.on('interactionCreate', async (interaction) => {
                 selfMute: false
             });
             await entersState(connection, VoiceConnectionStatus.Ready, 10_000); // Reduced timeout
-            await startRecording(connection, guild, member.voice.channelId);
+            const session = await startRecording(connection, guild, member.voice.channelId, null, { template: templateName });
 
-            await interaction.editReply({ content: '✅ Joined voice channel and started recording!' });
+            const templateNote = session ? ` Summary template: ${session.template}.` : '';
+            await interaction.editReply({ content: `✅ Joined voice channel and started recording!${templateNote}` });
         } else if (commandName === 'leave') {
             await interaction.deferReply({ ephemeral: true });
 
-            if (recordingState.connection) {
-                await stopRecording();
-                // Get the connection and safely destroy it
-                const connection = getVoiceConnection(recordingState.connection.joinConfig.guildId);
-                if (connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
-                    try {
-                        connection.destroy();
-                        console.log('✅ Slash command leave: Connection destroyed');
-                    } catch (destroyError) {
-                        console.warn('⚠️ Slash command leave: Connection was already destroyed:', destroyError.message);
-                    }
-                }
+            const session = getMemberSession(guild, member);
+            if (session) {
+                await stopAndLeave(session);
                 await interaction.editReply({ content: '👋 Left voice channel and stopped recording!' });
             } else {
                 await interaction.editReply({ content: "❌ I'm not currently in a voice channel." });
             }
+        } else if (commandName === 'pause' || commandName === 'resume') {
+            const session = getMemberSession(guild, member);
+            if (!session) {
+                return interaction.reply({ content: "❌ I'm not currently recording in this server.", ephemeral: true });
+            }
+
+            if (commandName === 'pause') {
+                if (!pauseRecording(session)) {
+                    return interaction.reply({ content: 'ℹ️ Recording is already paused. Use /resume to continue.', ephemeral: true });
+                }
+                await interaction.reply(`⏸️ ${member.displayName} paused the recording in ${session.channelName}. This part of the meeting is off the record.`);
+            } else {
+                if (!resumeRecording(session)) {
+                    return interaction.reply({ content: 'ℹ️ Recording is not paused.', ephemeral: true });
+                }
+                await interaction.reply(`▶️ ${member.displayName} resumed the recording in ${session.channelName}.`);
+            }
+        } else if (commandName === 'mark') {
+            const session = getMemberSession(guild, member);
+            if (!session) {
+                return interaction.reply({ content: "❌ I'm not currently recording in this server.", ephemeral: true });
+            }
+
+            const note = interaction.options.getString('note', true);
+            const offset = addMark(session, note, member.displayName);
+            await interaction.reply(`🔖 ${member.displayName} bookmarked ${offset}: ${note}`);
+        } else if (commandName === 'recording') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'optout') {
+                optOut(interaction.user.id);
+
+                // Drop anything already captured in meetings that are still being recorded
+                getAllSessions().forEach(session => excludeSpeaker(session, interaction.user.id));
+
+                await interaction.reply({
+                    content: "🔕 You've opted out of recording. Your voice won't be recorded or transcribed, recordings of you in meetings still in progress were deleted, and you'll be left out of meetings that haven't been transcribed yet.",
+                    ephemeral: true
+                });
+            } else if (subcommand === 'optin') {
+                const changed = optIn(interaction.user.id);
+                await interaction.reply({
+                    content: changed ? "🔔 You've opted back in. Your voice will be recorded in future meetings." : 'ℹ️ You are not opted out of recording.',
+                    ephemeral: true
+                });
+            }
+        } else if (commandName === 'language') {
+            const subcommand = interaction.options.getSubcommand();
+            const channel = interaction.options.getChannel('channel');
+            const scope = channel ? `in ${channel.name}` : 'in this server';
+
+            if (subcommand === 'transcription') {
+                const language = interaction.options.getString('language', true).trim().toLowerCase();
+                if (language !== 'auto' && !(LANGUAGE_CODE_PATTERN.test(language) && isSupportedLanguage(language))) {
+                    return interaction.reply({ content: `❌ "${language}" isn't a language code the transcriber supports. Use a code such as "en" or "es", or "auto".`, ephemeral: true });
+                }
+
+                setSetting(guild.id, channel ? channel.id : null, 'transcriptionLanguage', language);
+                const description = language === 'auto' ? 'detected automatically for every speaker turn' : getLanguageName(language);
+                await interaction.reply(`🌐 Meetings ${scope} will be transcribed as ${description}. This applies from the next meeting.`);
+            } else if (subcommand === 'summary') {
+                const input = interaction.options.getString('language', true).trim();
+                const language = input.toLowerCase() === 'default'
+                    ? null
+                    : (LANGUAGE_CODE_PATTERN.test(input) ? getLanguageName(input) : input);
+
+                setSetting(guild.id, channel ? channel.id : null, 'summaryLanguage', language);
+                await interaction.reply(`🌐 Summaries of meetings ${scope} will be written in ${language || 'English'}. This applies from the next meeting.`);
+            } else if (subcommand === 'show') {
+                const channelId = channel ? channel.id : null;
+                const transcriptionLanguage = getSetting(guild.id, channelId, 'transcriptionLanguage') || 'auto';
+                const summaryLanguage = getSetting(guild.id, channelId, 'summaryLanguage') || 'English';
+
+                await interaction.reply({
+                    content: `🌐 Language settings ${scope}:\n- Transcription: ${transcriptionLanguage === 'auto' ? 'automatic detection' : getLanguageName(transcriptionLanguage)}\n- Summary: ${summaryLanguage}`,
+                    ephemeral: true
+                });
+            }
+        } else if (commandName === 'template') {
+            const subcommand = interaction.options.getSubcommand();
+            const channel = interaction.options.getChannel('channel');
+            const scope = channel ? `in ${channel.name}` : 'in this server';
+
+            if (subcommand === 'set') {
+                const templateName = interaction.options.getString('template', true).trim().toLowerCase();
+                const template = getTemplate(templateName);
+                if (!template) {
+                    return interaction.reply({
+                        content: `❌ Unknown template "${templateName}". Available: ${listTemplates().map(({ name }) => name).join(', ')}`,
+                        ephemeral: true
+                    });
+                }
+
+                setSetting(guild.id, channel ? channel.id : null, 'summaryTemplate', template.name);
+                await interaction.reply(`📝 Meetings ${scope} will be summarized with the **${template.name}** template. This applies from the next meeting.`);
+            } else if (subcommand === 'clear') {
+                setSetting(guild.id, channel ? channel.id : null, 'summaryTemplate', null);
+                const templateName = getChannelTemplateName(guild.id, channel ? channel.id : null);
+                await interaction.reply(`📝 Meetings ${scope} will be summarized with the **${templateName}** template. This applies from the next meeting.`);
+            } else if (subcommand === 'list') {
+                const lines = listTemplates().map(({ name, description }) => description ? `- **${name}** – ${description}` : `- **${name}**`);
+                await interaction.reply({
+                    content: `📝 Summary templates (this server uses **${getChannelTemplateName(guild.id, null)}**):\n${lines.join('\n')}`,
+                    ephemeral: true
+                });
+            }
+        } else if (commandName === 'resummarize') {
+            const meeting = loadMeeting(interaction.options.getString('meeting', true));
+            if (!meeting || meeting.guildId !== guild.id) {
+                return interaction.reply({
+                    content: '❌ No saved transcript for that meeting. Pick one from the list.',
+                    ephemeral: true
+                });
+            }
+
+            const templateName = (interaction.options.getString('template') || '').trim().toLowerCase() || null;
+            if (templateName && !getTemplate(templateName)) {
+                return interaction.reply({
+                    content: `❌ Unknown template "${templateName}". Available: ${listTemplates().map(({ name }) => name).join(', ')}`,
+                    ephemeral: true
+                });
+            }
+
+            const provider = interaction.options.getString('provider');
+            const replace = interaction.options.getBoolean('replace') || false;
+
+            meeting.status = 'pending-summary';
+            meeting.lastError = null;
+            saveMeeting(meeting);
+            enqueueJob('summarize', { meetingId: meeting.meetingId, template: templateName, provider, replace });
+
+            const details = [`template **${templateName || meeting.template || DEFAULT_TEMPLATE}**`];
+            if (provider) details.push(`provider **${provider}**`);
+            await interaction.reply(`🔁 Re-summarizing the ${meeting.channelName} meeting of ${new Date(meeting.startedAt).toLocaleString()} with ${details.join(' and ')}. ` +
+                (replace ? 'Its entry in the meetings file will be replaced.' : 'The new summary will be added as a new version.'));
+        } else if (commandName === 'glossary') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'add') {
+                const term = interaction.options.getString('term', true).trim();
+                const misspellings = (interaction.options.getString('misspellings') || '')
+                    .split(',')
+                    .map(misspelling => misspelling.trim())
+                    .filter(misspelling => misspelling.length > 0);
+
+                const isNew = addTerm(guild.id, term, misspellings);
+                const fixes = misspellings.length > 0 ? ` Transcripts will correct: ${misspellings.join(', ')}.` : '';
+                await interaction.reply(`📖 ${isNew ? 'Added' : 'Updated'} glossary term **${term}**.${fixes}`);
+            } else if (subcommand === 'remove') {
+                const term = interaction.options.getString('term', true).trim();
+                const removed = removeTerm(guild.id, term);
+                await interaction.reply({
+                    content: removed ? `🗑️ Removed **${term}** from the glossary.` : `ℹ️ **${term}** is not in the glossary.`,
+                    ephemeral: !removed
+                });
+            } else if (subcommand === 'list') {
+                const glossary = getGlossary(guild.id);
+                const lines = glossary.map(({ term, misspellings }) => misspellings.length > 0
+                    ? `- **${term}** (fixes: ${misspellings.join(', ')})`
+                    : `- **${term}**`);
+
+                let content = glossary.length > 0
+                    ? `📖 Team glossary (${glossary.length} terms):\n${lines.join('\n')}`
+                    : 'ℹ️ The glossary is empty. Add terms with `/glossary add`.';
+                if (content.length > 2000) {
+                    content = `${content.slice(0, 1990)}\n…`;
+                }
+                await interaction.reply({ content, ephemeral: true });
+            }
+        } else if (commandName === 'redact') {
+            const subcommand = interaction.options.getSubcommand();
+
+            // Replies are ephemeral: the terms are what shouldn't be shared
+            if (subcommand === 'add') {
+                const term = interaction.options.getString('term', true).trim();
+                const { isNew, type } = addDenyTerm(guild.id, term, interaction.options.getString('type') || undefined);
+                await interaction.reply({
+                    content: `🕶️ ${isNew ? 'Added' : 'Updated'} **${term}**: it will be replaced with [${type}_n] in transcripts from now on.` +
+                        (REDACTION_ENABLED ? '' : ' Note: redaction is turned off (REDACTION_ENABLED=false).'),
+                    ephemeral: true
+                });
+            } else if (subcommand === 'remove') {
+                const term = interaction.options.getString('term', true).trim();
+                const removed = removeDenyTerm(guild.id, term);
+                await interaction.reply({
+                    content: removed ? `🗑️ **${term}** is no longer redacted.` : `ℹ️ **${term}** is not on the redaction list.`,
+                    ephemeral: true
+                });
+            } else if (subcommand === 'list') {
+                const denyList = getDenyList(guild.id);
+                let content = denyList.length > 0
+                    ? `🕶️ Redacted terms (${denyList.length}):\n${denyList.map(({ term, type }) => `- **${term}** → [${type}_n]`).join('\n')}`
+                    : 'ℹ️ No terms are redacted yet. Add them with `/redact add`.';
+                content += '\nEmails, phone numbers, card numbers and API tokens are redacted by the rules in `Redaction/rules.json`.';
+                if (!REDACTION_ENABLED) {
+                    content += '\n⚠️ Redaction is turned off (REDACTION_ENABLED=false).';
+                }
+                if (content.length > 2000) {
+                    content = `${content.slice(0, 1990)}\n…`;
+                }
+                await interaction.reply({ content, ephemeral: true });
+            }
+        } else if (commandName === 'actions') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'list') {
+                const channel = interaction.options.getChannel('channel');
+                const user = interaction.options.getUser('user');
+                const status = interaction.options.getString('status') || 'open';
+
+                let owner = null;
+                if (user) {
+                    const ownerMember = interaction.options.getMember('user');
+                    owner = { id: user.id, names: [ownerMember && ownerMember.displayName, user.globalName, user.username] };
+                }
+                const items = listActionItems(guild.id, {
+                    channelId: channel ? channel.id : null,
+                    owner,
+                    status: status === 'all' ? null : status
+                });
+
+                const scope = [channel ? `in ${channel.name}` : null, user ? `for ${user.username}` : null].filter(Boolean).join(' ');
+                const heading = `${status === 'all' ? 'Action items' : `${status === 'open' ? 'Open' : 'Done'} action items`}${scope ? ` ${scope}` : ''}`;
+                const lines = items.map(item => {
+                    const source = `${item.channelName}, ${new Date(item.meetingDate).toLocaleDateString()}`;
+                    return `- ${item.status === 'done' ? '~~' : ''}${formatActionItem(item)}${item.status === 'done' ? '~~' : ''} – ${source}`;
+                });
+
+                let content = items.length > 0
+                    ? `📌 ${heading} (${items.length}):\n${lines.join('\n')}`
+                    : `ℹ️ No ${heading.charAt(0).toLowerCase()}${heading.slice(1)}.`;
+                if (content.length > 2000) {
+                    content = `${content.slice(0, 1990)}\n…`;
+                }
+                await interaction.reply({ content, ephemeral: true });
+            } else if (subcommand === 'done') {
+                const id = interaction.options.getInteger('id', true);
+                const item = completeActionItem(guild.id, id, member.displayName);
+                if (!item) {
+                    return interaction.reply({ content: `❌ There is no action item #${id}.`, ephemeral: true });
+                }
+                await interaction.reply(`✅ Done: ${formatActionItem(item)}`);
+            } else if (subcommand === 'reassign') {
+                const id = interaction.options.getInteger('id', true);
+                const user = interaction.options.getUser('user', true);
+                const ownerMember = interaction.options.getMember('user');
+                const item = reassignActionItem(guild.id, id, {
+                    owner: ownerMember ? ownerMember.displayName : user.username,
+                    ownerId: user.id
+                });
+                if (!item) {
+                    return interaction.reply({ content: `❌ There is no action item #${id}.`, ephemeral: true });
+                }
+                await interaction.reply(`👤 Reassigned: ${formatActionItem(item)}`);
+            }
         }
     } catch (error) {
         console.error('❌ Error during interaction:', error);
@@ -955,59 +2249,77 @@ client.on('interactionCreate', async (interaction) => {
 
 // Handle automatic voice channel joining/leaving based on user activity
 client.on('voiceStateUpdate', (oldState, newState) => {
-    if (newState.member?.user.bot || (oldState.channelId === newState.channelId && oldState.channelId !== null)) return;
-    const connection = getVoiceConnection(oldState.guild.id);
-    const targetChannel = oldState.channel || newState.channel;
-    if (!targetChannel) return;
+    if (newState.member?.user.bot || oldState.channelId === newState.channelId) return;
+
+    // Keep the attendance timeline of recorded channels up to date
+    const member = newState.member || oldState.member;
+    const leftSession = oldState.channelId && getSession(oldState.guild.id, oldState.channelId);
+    const joinedSession = newState.channelId && getSession(newState.guild.id, newState.channelId);
+    if (member && leftSession) {
+        recordLeave(leftSession.attendance, member.id);
+        saveManifest(leftSession);
+        console.log(`👋 ${member.displayName} left the meeting in ${leftSession.channelName}`);
+    }
+    if (member && joinedSession) {
+        trackJoin(joinedSession, member);
+    }
 
-    const membersCount = targetChannel.members.filter(member => !member.user.bot).size;
+    // A move between channels affects both the channel left and the channel joined
+    if (oldState.channel) handleChannelLeft(oldState.channel);
+    if (newState.channel) handleChannelJoined(newState.channel);
+});
 
-    if (!connection && newState.channelId === targetChannel.id && membersCount > 1) {
-        // Only auto-join if within operating hours
-        if (!shouldBeActive()) {
-            console.log(`⏰ Outside operating hours (6 AM - 4 PM). Not auto-joining channel.`);
-            return;
-        }
+/**
+ * Auto-leave a recorded channel once it drops to one human or fewer
+ */
+function handleChannelLeft(channel) {
+    const session = getSession(channel.guild.id, channel.id);
+    if (!session) return;
 
-        console.log(`👥 User joined. There are now ${membersCount} members. Auto-joining channel...`);
-        const newConnection = joinVoiceChannel({
-            channelId: newState.channelId,
-            guildId: newState.guild.id,
-            adapterCreator: newState.guild.voiceAdapterCreator,
-            selfDeaf: false,
-            selfMute: false
-        });
-        entersState(newConnection, VoiceConnectionStatus.Ready, 10_000) // Reduced timeout
-            .then(() => startRecording(newConnection, targetChannel.guild, targetChannel.id))
-            .catch(err => console.error("❌ Failed to establish voice connection (Auto-Join):", err.message));
-    } else if (connection && connection.joinConfig.channelId === targetChannel.id) {
-        if (membersCount <= 1) {
-            console.log(`👋 User left/moved. Human count is ${membersCount}. Auto-leaving.`);
-            stopRecording().then(() => {
-                // Check if connection still exists and isn't already destroyed
-                if (connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
-                    try {
-                        connection.destroy();
-                        console.log('✅ Bot left voice channel automatically');
-                    } catch (destroyError) {
-                        console.warn('⚠️ Connection was already destroyed or error during destruction:', destroyError.message);
-                    }
-                } else {
-                    console.log('ℹ️ Connection already destroyed or not found');
-                }
-            }).catch(error => {
-                console.error('❌ Error during auto-stop recording:', error);
-                // Still try to leave the channel even if recording stop failed
-                if (connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
-                    try {
-                        connection.destroy();
-                    } catch (leaveError) {
-                        console.error('❌ Error leaving voice channel:', leaveError);
-                    }
-                }
-            });
+    const membersCount = channel.members.filter(member => !member.user.bot).size;
+    if (membersCount > 1) return;
+
+    console.log(`👋 User left/moved from ${channel.name}. Human count is ${membersCount}. Auto-leaving.`);
+    stopAndLeave(session).catch(error => {
+        console.error('❌ Error during auto-stop recording:', error);
+    });
+}
+
+/**
+ * Auto-join a channel once it reaches two humans
+ */
+function handleChannelJoined(channel) {
+    const membersCount = channel.members.filter(member => !member.user.bot).size;
+    if (membersCount <= 1) return;
+
+    // Only auto-join if within operating hours
+    if (!shouldBeActive()) {
+        console.log(`⏰ Outside operating hours (6 AM - 4 PM). Not auto-joining channel.`);
+        return;
+    }
+
+    if (getSession(channel.guild.id, channel.id)) return;
+
+    // Discord only allows one voice connection per guild
+    const guildSession = getGuildSession(channel.guild.id);
+    if (guildSession || getVoiceConnection(channel.guild.id)) {
+        if (guildSession) {
+            console.log(`⚠️ ${channel.name} has ${membersCount} members, but ${guildSession.channelName} is already being recorded in ${channel.guild.name}`);
         }
+        return;
     }
-});
+
+    console.log(`👥 User joined ${channel.name}. There are now ${membersCount} members. Auto-joining channel...`);
+    const newConnection = joinVoiceChannel({
+        channelId: channel.id,
+        guildId: channel.guild.id,
+        adapterCreator: channel.guild.voiceAdapterCreator,
+        selfDeaf: false,
+        selfMute: false
+    });
+    entersState(newConnection, VoiceConnectionStatus.Ready, 10_000) // Reduced timeout
+        .then(() => startRecording(newConnection, channel.guild, channel.id))
+        .catch(err => console.error("❌ Failed to establish voice connection (Auto-Join):", err.message));
+}
 
 client.login(process.env.DISCORD_TOKEN);
@@ -5,7 +5,7 @@
  * Commands are automatically deployed when the bot starts up.
  */
 
-const { SlashCommandBuilder } = require('discord.js');
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
 
 /**
  * All slash commands for the voice recording bot
@@ -13,11 +13,227 @@ const { SlashCommandBuilder } = require('discord.js');
 const commands = [
     new SlashCommandBuilder()
         .setName('join')
-        .setDescription('Makes the bot join your current voice channel and start recording'),
+        .setDescription('Makes the bot join your current voice channel and start recording')
+        .addStringOption(option => option
+            .setName('template')
+            .setDescription("Summary template for this meeting (default: the channel's)")
+            .setAutocomplete(true)),
 
     new SlashCommandBuilder()
         .setName('leave')
         .setDescription('Makes the bot leave the current voice channel and stop recording'),
+
+    new SlashCommandBuilder()
+        .setName('pause')
+        .setDescription('Pauses recording so the meeting goes off the record'),
+
+    new SlashCommandBuilder()
+        .setName('resume')
+        .setDescription('Resumes a paused recording'),
+
+    new SlashCommandBuilder()
+        .setName('mark')
+        .setDescription('Bookmarks the current moment of the meeting so the summary covers it')
+        .addStringOption(option => option
+            .setName('note')
+            .setDescription('What this moment is about, e.g. "decision on pricing"')
+            .setRequired(true)
+            .setMaxLength(200)),
+
+    new SlashCommandBuilder()
+        .setName('recording')
+        .setDescription('Manage whether your voice is recorded')
+        .addSubcommand(subcommand => subcommand
+            .setName('optout')
+            .setDescription('Stop recording your voice and leave you out of transcripts'))
+        .addSubcommand(subcommand => subcommand
+            .setName('optin')
+            .setDescription('Allow your voice to be recorded again')),
+
+    new SlashCommandBuilder()
+        .setName('language')
+        .setDescription('Set the languages used for meetings in this server or one of its voice channels')
+        .addSubcommand(subcommand => subcommand
+            .setName('transcription')
+            .setDescription('Language spoken in meetings, or "auto" to detect it for every speaker turn')
+            .addStringOption(option => option
+                .setName('language')
+                .setDescription('Language code such as "en" or "es", or "auto"')
+                .setRequired(true)
+                .setMaxLength(10))
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Only for this voice channel (default: the whole server)')
+                .addChannelTypes(ChannelType.GuildVoice)))
+        .addSubcommand(subcommand => subcommand
+            .setName('summary')
+            .setDescription('Language the meeting summary is written in')
+            .addStringOption(option => option
+                .setName('language')
+                .setDescription('Language name or code such as "Spanish" or "es", or "default" for English')
+                .setRequired(true)
+                .setMaxLength(40))
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Only for this voice channel (default: the whole server)')
+                .addChannelTypes(ChannelType.GuildVoice)))
+        .addSubcommand(subcommand => subcommand
+            .setName('show')
+            .setDescription('Show the language settings')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Voice channel to show the settings for (default: the whole server)')
+                .addChannelTypes(ChannelType.GuildVoice))),
+
+    new SlashCommandBuilder()
+        .setName('glossary')
+        .setDescription("Manage the team glossary used to spell names and terms in transcripts and summaries")
+        .addSubcommand(subcommand => subcommand
+            .setName('add')
+            .setDescription('Add a term, or known misspellings of a term')
+            .addStringOption(option => option
+                .setName('term')
+                .setDescription('Correct spelling, e.g. "Kubernetes"')
+                .setRequired(true)
+                .setMaxLength(100))
+            .addStringOption(option => option
+                .setName('misspellings')
+                .setDescription('Comma-separated wrong transcriptions to fix, e.g. "cooper netties, kuber nettis"')
+                .setMaxLength(500)))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Remove a term')
+            .addStringOption(option => option
+                .setName('term')
+                .setDescription('Term to remove')
+                .setRequired(true)
+                .setMaxLength(100)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List the glossary terms')),
+
+    new SlashCommandBuilder()
+        .setName('redact')
+        .setDescription('Manage the terms removed from transcripts before they are summarized')
+        .addSubcommand(subcommand => subcommand
+            .setName('add')
+            .setDescription('Redact a term, e.g. a customer name, from future transcripts')
+            .addStringOption(option => option
+                .setName('term')
+                .setDescription('Term to redact, e.g. "Acme Corp"')
+                .setRequired(true)
+                .setMaxLength(100))
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Placeholder type, e.g. "customer" for [CUSTOMER_1] (default: term)')
+                .setMaxLength(20)))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Stop redacting a term')
+            .addStringOption(option => option
+                .setName('term')
+                .setDescription('Term to remove')
+                .setRequired(true)
+                .setMaxLength(100)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List the redacted terms')),
+
+    new SlashCommandBuilder()
+        .setName('actions')
+        .setDescription('Follow up on action items from meeting summaries')
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List action items (default: open items in this server)')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription("Only items from this voice channel's meetings")
+                .addChannelTypes(ChannelType.GuildVoice))
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('Only items owned by this person'))
+            .addStringOption(option => option
+                .setName('status')
+                .setDescription('Which items to list (default: open)')
+                .addChoices(
+                    { name: 'Open', value: 'open' },
+                    { name: 'Done', value: 'done' },
+                    { name: 'All', value: 'all' }
+                )))
+        .addSubcommand(subcommand => subcommand
+            .setName('done')
+            .setDescription('Mark an action item as done')
+            .addIntegerOption(option => option
+                .setName('id')
+                .setDescription('Action item number, e.g. 12')
+                .setRequired(true)
+                .setMinValue(1)
+                .setAutocomplete(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('reassign')
+            .setDescription('Give an action item to someone else')
+            .addIntegerOption(option => option
+                .setName('id')
+                .setDescription('Action item number, e.g. 12')
+                .setRequired(true)
+                .setMinValue(1)
+                .setAutocomplete(true))
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('New owner')
+                .setRequired(true))),
+
+    new SlashCommandBuilder()
+        .setName('template')
+        .setDescription('Choose how meetings in this server or one of its voice channels are summarized')
+        .addSubcommand(subcommand => subcommand
+            .setName('set')
+            .setDescription('Use a summary template for meetings')
+            .addStringOption(option => option
+                .setName('template')
+                .setDescription('Template name, e.g. "standup" or "retro"')
+                .setRequired(true)
+                .setAutocomplete(true))
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Only for this voice channel (default: the whole server)')
+                .addChannelTypes(ChannelType.GuildVoice)))
+        .addSubcommand(subcommand => subcommand
+            .setName('clear')
+            .setDescription('Go back to the default template')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Only for this voice channel (default: the whole server)')
+                .addChannelTypes(ChannelType.GuildVoice)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List the available templates')),
+
+    new SlashCommandBuilder()
+        .setName('resummarize')
+        .setDescription('Summarizes a past meeting again from its saved transcript')
+        .addStringOption(option => option
+            .setName('meeting')
+            .setDescription('The meeting to summarize')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addStringOption(option => option
+            .setName('template')
+            .setDescription("Summary template (default: the meeting's)")
+            .setAutocomplete(true))
+        .addStringOption(option => option
+            .setName('provider')
+            .setDescription('LLM provider (default: LLM_PROVIDER)')
+            .addChoices(
+                { name: 'Gemini', value: 'gemini' },
+                { name: 'OpenAI-compatible', value: 'openai' },
+                { name: 'Ollama', value: 'ollama' },
+                { name: 'llama.cpp', value: 'llama-cpp' },
+                { name: 'Stub (offline)', value: 'stub' }
+            ))
+        .addBooleanOption(option => option
+            .setName('replace')
+            .setDescription("Replace the meeting's summary in the meetings file instead of adding a new version")),
 ];
 
 /**
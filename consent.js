@@ -0,0 +1,81 @@
+/**
+ * Recording Consent Preferences
+ * Stores which users have opted out of being recorded.
+ * Preferences are global per user (not per guild) and persist in DATA_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const PREFERENCES_PATH = path.join(DATA_DIR, 'recording_preferences.json');
+
+let preferences = null;
+
+/**
+ * Load preferences from disk (cached after the first read)
+ * @returns {{optedOut: Object<string, {since: string}>}} Preferences
+ */
+function loadPreferences() {
+    if (preferences) return preferences;
+
+    preferences = { optedOut: {} };
+    if (fs.existsSync(PREFERENCES_PATH)) {
+        try {
+            preferences = JSON.parse(fs.readFileSync(PREFERENCES_PATH, 'utf8'));
+            preferences.optedOut = preferences.optedOut || {};
+        } catch (error) {
+            console.error('⚠️ Error reading recording preferences, starting fresh:', error.message);
+        }
+    }
+    return preferences;
+}
+
+/**
+ * Persist preferences to disk
+ */
+function savePreferences() {
+    fs.writeFileSync(PREFERENCES_PATH, JSON.stringify(loadPreferences(), null, 2));
+}
+
+/**
+ * Check whether a user has opted out of recording
+ * @param {string} userId - Discord user ID
+ * @returns {boolean} True if the user must not be recorded
+ */
+function isOptedOut(userId) {
+    return Boolean(loadPreferences().optedOut[userId]);
+}
+
+/**
+ * Opt a user out of recording
+ * @param {string} userId - Discord user ID
+ * @returns {boolean} False if the user was already opted out
+ */
+function optOut(userId) {
+    if (isOptedOut(userId)) return false;
+
+    loadPreferences().optedOut[userId] = { since: new Date().toISOString() };
+    savePreferences();
+    return true;
+}
+
+/**
+ * Opt a user back in to recording
+ * @param {string} userId - Discord user ID
+ * @returns {boolean} False if the user was not opted out
+ */
+function optIn(userId) {
+    if (!isOptedOut(userId)) return false;
+
+    delete loadPreferences().optedOut[userId];
+    savePreferences();
+    return true;
+}
+
+module.exports = {
+    isOptedOut,
+    optOut,
+    optIn
+};
@@ -0,0 +1,150 @@
+/**
+ * Team Glossary
+ * Product names, acronyms and people's names that speech recognition tends to get wrong.
+ * Each guild has its own glossary file in DATA_DIR/Glossaries/<guildId>.json.
+ *
+ * The glossary is used three ways:
+ * - as a prompt/hint for the transcription backend,
+ * - in a correction pass that replaces known misspellings in the transcript,
+ * - in the summary prompt, so the model spells the terms correctly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const GLOSSARY_FOLDER = path.join(DATA_DIR, 'Glossaries');
+
+// Whisper only reads the last ~224 tokens of its prompt
+const MAX_PROMPT_LENGTH = 800;
+
+// Ensure folder exists
+if (!fs.existsSync(GLOSSARY_FOLDER)) fs.mkdirSync(GLOSSARY_FOLDER, { recursive: true });
+
+/**
+ * Path of a guild's glossary file
+ */
+function getGlossaryPath(guildId) {
+    return path.join(GLOSSARY_FOLDER, `${path.basename(guildId)}.json`);
+}
+
+/**
+ * Load a guild's glossary
+ * @param {string} guildId - Discord guild ID
+ * @returns {Array<{term: string, misspellings: string[]}>} Terms in alphabetical order
+ */
+function getGlossary(guildId) {
+    const glossaryPath = getGlossaryPath(guildId);
+    if (!fs.existsSync(glossaryPath)) return [];
+
+    try {
+        return JSON.parse(fs.readFileSync(glossaryPath, 'utf8')).terms || [];
+    } catch (error) {
+        console.error(`⚠️ Error reading glossary for guild ${guildId}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Save a guild's glossary
+ */
+function saveGlossary(guildId, terms) {
+    terms.sort((a, b) => a.term.localeCompare(b.term));
+    fs.writeFileSync(getGlossaryPath(guildId), JSON.stringify({ terms }, null, 2));
+}
+
+/**
+ * Add a term, or add misspellings to a term that is already there
+ * @param {string} guildId - Discord guild ID
+ * @param {string} term - Correct spelling
+ * @param {string[]} [misspellings] - Known wrong transcriptions of the term
+ * @returns {boolean} True if the term is new
+ */
+function addTerm(guildId, term, misspellings = []) {
+    const terms = getGlossary(guildId);
+    let entry = terms.find(existing => existing.term.toLowerCase() === term.toLowerCase());
+    const isNew = !entry;
+
+    if (!entry) {
+        entry = { term, misspellings: [] };
+        terms.push(entry);
+    }
+    entry.term = term;
+    misspellings
+        .filter(misspelling => misspelling.toLowerCase() !== term.toLowerCase())
+        .forEach(misspelling => {
+            if (!entry.misspellings.some(existing => existing.toLowerCase() === misspelling.toLowerCase())) {
+                entry.misspellings.push(misspelling);
+            }
+        });
+
+    saveGlossary(guildId, terms);
+    return isNew;
+}
+
+/**
+ * Remove a term
+ * @param {string} guildId - Discord guild ID
+ * @param {string} term - Term to remove (case-insensitive)
+ * @returns {boolean} False if the term wasn't in the glossary
+ */
+function removeTerm(guildId, term) {
+    const terms = getGlossary(guildId);
+    const remaining = terms.filter(existing => existing.term.toLowerCase() !== term.toLowerCase());
+    if (remaining.length === terms.length) return false;
+
+    saveGlossary(guildId, remaining);
+    return true;
+}
+
+/**
+ * Build a transcription prompt that primes the model with the glossary's spellings
+ * @param {Array<{term: string}>} terms - Glossary terms
+ * @returns {string|null} Prompt, or null for an empty glossary
+ */
+function buildTranscriptionPrompt(terms) {
+    if (terms.length === 0) return null;
+
+    let prompt = 'Glossary:';
+    for (const { term } of terms) {
+        if (prompt.length + term.length + 2 > MAX_PROMPT_LENGTH) break;
+        prompt += ` ${term},`;
+    }
+    return `${prompt.slice(0, -1)}.`;
+}
+
+/**
+ * Match a phrase as a whole word (or words), ignoring case
+ */
+function wholeWordPattern(phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Correction pass: replace known misspellings with the glossary spelling
+ * and fix the capitalization of glossary terms
+ * @param {string} text - Transcribed text
+ * @param {Array<{term: string, misspellings: string[]}>} terms - Glossary terms
+ * @returns {string} Corrected text
+ */
+function applyGlossary(text, terms) {
+    if (!text) return text;
+
+    // Longest phrases first, so "Acme Cloud" wins over "Acme"
+    const replacements = terms
+        .flatMap(({ term, misspellings }) => [term, ...misspellings].map(phrase => ({ phrase, term })))
+        .sort((a, b) => b.phrase.length - a.phrase.length);
+
+    return replacements.reduce((corrected, { phrase, term }) => corrected.replace(wholeWordPattern(phrase), () => term), text);
+}
+
+module.exports = {
+    getGlossary,
+    addTerm,
+    removeTerm,
+    buildTranscriptionPrompt,
+    applyGlossary,
+    wholeWordPattern
+};
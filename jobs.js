@@ -0,0 +1,261 @@
+/**
+ * Background Job Queue
+ * Persistent queue for post-meeting processing (mix, transcribe, summarize, save, upload).
+ * Every job is a JSON file under DATA_DIR/Jobs, so queued work survives restarts.
+ * Failed jobs are retried with exponential backoff and dead-lettered after too many
+ * attempts; dead jobs stay on disk and can be retried later.
+ *
+ * Usage:
+ *   node jobs.js                  # List queued and dead jobs
+ *   node jobs.js retry            # Retry every dead job
+ *   node jobs.js retry <jobId>    # Retry one dead job
+ *
+ * Configuration (.env):
+ *   JOB_MAX_ATTEMPTS=5            # Attempts before a job is dead-lettered
+ *   JOB_RETRY_BASE_MS=30000       # First retry delay, doubled on every further attempt
+ *   JOB_TIMEOUT_MS=7200000        # Time allowed per attempt before it counts as failed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const JOBS_FOLDER = path.join(DATA_DIR, 'Jobs');
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS || '30000', 10);
+const JOB_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS || '7200000', 10);
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // 1 hour
+const POLL_INTERVAL_MS = 5000;
+
+// Ensure folder exists
+if (!fs.existsSync(JOBS_FOLDER)) fs.mkdirSync(JOBS_FOLDER, { recursive: true });
+
+const handlers = new Map();
+let workerTimer = null;
+let isWorking = false;
+
+/**
+ * Path of a job's file
+ */
+function getJobPath(id) {
+    return path.join(JOBS_FOLDER, `${id}.json`);
+}
+
+/**
+ * Write a job to disk atomically
+ * @param {Object} job - The job
+ */
+function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    const jobPath = getJobPath(job.id);
+    const tempPath = `${jobPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+    fs.renameSync(tempPath, jobPath);
+}
+
+/**
+ * Load every job on disk
+ * @returns {Object[]} Jobs, oldest first
+ */
+function listJobs() {
+    const jobs = [];
+    for (const file of fs.readdirSync(JOBS_FOLDER)) {
+        if (!file.endsWith('.json')) continue;
+
+        try {
+            jobs.push(JSON.parse(fs.readFileSync(path.join(JOBS_FOLDER, file), 'utf8')));
+        } catch (error) {
+            console.error(`⚠️ Skipping unreadable job ${file}:`, error.message);
+        }
+    }
+    return jobs.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type (see registerJobHandler)
+ * @param {Object} payload - JSON-serializable job input
+ * @returns {Object} The queued job
+ */
+function enqueueJob(type, payload) {
+    const now = new Date().toISOString();
+    const job = {
+        id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+        type,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        runAt: now,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    saveJob(job);
+    console.log(`📥 Queued ${type} job ${job.id}`);
+
+    wakeWorker();
+    return job;
+}
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => void; throwing fails the attempt
+ */
+function registerJobHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+/**
+ * Delay before the next attempt of a job that failed `attempts` times
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+    return Math.min(MAX_RETRY_DELAY_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+}
+
+/**
+ * Run a single job and record the outcome
+ * @param {Object} job - A due, pending job
+ */
+async function runJob(job) {
+    job.status = 'running';
+    job.attempts++;
+    saveJob(job);
+    console.log(`⚙️ Running ${job.type} job ${job.id} (attempt ${job.attempts}/${MAX_ATTEMPTS})`);
+
+    try {
+        const handler = handlers.get(job.type);
+        if (!handler) {
+            throw new Error(`No handler registered for job type "${job.type}"`);
+        }
+
+        // A stuck handler can't be stopped, but it no longer holds up every job queued after it
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${Math.round(JOB_TIMEOUT_MS / 1000)}s`)), JOB_TIMEOUT_MS);
+        });
+        try {
+            await Promise.race([handler(job.payload, job), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        fs.unlinkSync(getJobPath(job.id));
+        console.log(`✅ Finished ${job.type} job ${job.id}`);
+    } catch (error) {
+        job.lastError = error.message;
+
+        if (job.attempts >= MAX_ATTEMPTS) {
+            job.status = 'dead';
+            console.error(`💀 ${job.type} job ${job.id} failed ${job.attempts} times and was dead-lettered:`, error.message);
+        } else {
+            const delay = getRetryDelay(job.attempts);
+            job.status = 'pending';
+            job.runAt = new Date(Date.now() + delay).toISOString();
+            console.error(`❌ ${job.type} job ${job.id} failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+        }
+        saveJob(job);
+    }
+}
+
+/**
+ * Run due jobs one at a time until none are left, then poll again
+ */
+async function workLoop() {
+    workerTimer = null;
+    isWorking = true;
+
+    try {
+        let job;
+        while ((job = listJobs().find(entry => entry.status === 'pending' && Date.parse(entry.runAt) <= Date.now()))) {
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error('❌ Job worker error:', error.message);
+    } finally {
+        isWorking = false;
+        workerTimer = setTimeout(workLoop, POLL_INTERVAL_MS);
+    }
+}
+
+/**
+ * Run the worker now instead of at its next poll, unless it is busy
+ */
+function wakeWorker() {
+    if (!workerTimer || isWorking) return;
+
+    clearTimeout(workerTimer);
+    workerTimer = setTimeout(workLoop, 0);
+}
+
+/**
+ * Start the worker loop. Jobs left running by a crash or restart are queued again.
+ */
+function startJobWorker() {
+    if (workerTimer || isWorking) return;
+
+    listJobs()
+        .filter(job => job.status === 'running')
+        .forEach(job => {
+            job.status = 'pending';
+            saveJob(job);
+            console.log(`♻️ Requeued interrupted ${job.type} job ${job.id}`);
+        });
+
+    console.log('⚙️ Job worker started');
+    workerTimer = setTimeout(workLoop, 0);
+}
+
+/**
+ * Give dead-lettered jobs a fresh set of attempts
+ * @param {string} [id] - Only retry this job
+ * @returns {number} Number of jobs queued again
+ */
+function retryDeadJobs(id = null) {
+    const deadJobs = listJobs().filter(job => job.status === 'dead' && (!id || job.id === id));
+
+    deadJobs.forEach(job => {
+        job.status = 'pending';
+        job.attempts = 0;
+        job.runAt = new Date().toISOString();
+        saveJob(job);
+        console.log(`🔁 Retrying ${job.type} job ${job.id}`);
+    });
+
+    wakeWorker();
+    return deadJobs.length;
+}
+
+module.exports = {
+    enqueueJob,
+    registerJobHandler,
+    startJobWorker,
+    listJobs,
+    retryDeadJobs
+};
+
+/**
+ * Main (command line)
+ */
+if (require.main === module) {
+    const args = process.argv.slice(2);
+
+    if (args[0] === 'retry') {
+        const count = retryDeadJobs(args[1] || null);
+        console.log(`✅ ${count} job(s) queued again; the bot picks them up on its next poll`);
+    } else {
+        const jobs = listJobs();
+        if (jobs.length === 0) {
+            console.log('ℹ️ No queued jobs');
+        }
+        jobs.forEach(job => {
+            const error = job.lastError ? ` - last error: ${job.lastError}` : '';
+            console.log(`${job.id}  ${job.type.padEnd(10)}  ${job.status.padEnd(7)}  attempts: ${job.attempts}${error}`);
+        });
+    }
+}
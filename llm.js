@@ -0,0 +1,223 @@
+/**
+ * LLM Providers
+ * One interface for sending a prompt to a language model, with interchangeable providers:
+ *   gemini     - Google Gemini (default)
+ *   openai     - any OpenAI-compatible /chat/completions endpoint (OpenAI, vLLM, LM Studio, ...)
+ *   ollama     - a local Ollama server
+ *   llama-cpp  - a local llama.cpp server (llama-server), through its OpenAI-compatible API
+ *   stub       - deterministic canned output, so the whole pipeline runs offline
+ *
+ * LLM_PROVIDER is used by default; a request can name another provider (e.g. /resummarize
+ * with a local model). Other providers take their model, URL and key from
+ * LLM_<PROVIDER>_MODEL, LLM_<PROVIDER>_BASE_URL and LLM_<PROVIDER>_API_KEY
+ * (e.g. LLM_OLLAMA_MODEL, LLM_LLAMA_CPP_BASE_URL), or their defaults.
+ *
+ * With the json option the provider is asked for a JSON object (Gemini's JSON MIME type,
+ * OpenAI's json_object response format, Ollama's json format); the caller still validates it.
+ *
+ * Configuration (.env):
+ *   LLM_PROVIDER=gemini                 # gemini, openai, ollama, llama-cpp or stub
+ *   LLM_MODEL=                          # model name (default depends on the provider)
+ *   LLM_TEMPERATURE=0.3                 # sampling temperature
+ *   LLM_MAX_OUTPUT_TOKENS=2048          # longest response the model may write
+ *   LLM_CONTEXT_TOKENS=32000            # context window the prompt has to fit in
+ *   LLM_BASE_URL=                       # openai/ollama/llama-cpp: server URL (default depends on the provider)
+ *   LLM_API_KEY=                        # openai/llama-cpp: bearer token, if the server needs one
+ *   LLM_TIMEOUT_MS=300000               # time allowed per request
+ *   GEMINI_API_KEY=                     # gemini: API key
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const PROVIDER_DEFAULTS = {
+    'gemini': { model: 'gemini-2.5-flash-lite', baseUrl: null },
+    'openai': { model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1' },
+    'ollama': { model: 'llama3.1', baseUrl: 'http://localhost:11434' },
+    'llama-cpp': { model: 'default', baseUrl: 'http://localhost:8080/v1' },
+    'stub': { model: 'stub', baseUrl: null }
+};
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+const LLM_TEMPERATURE = parseFloat(process.env.LLM_TEMPERATURE || '0.3');
+const LLM_MAX_OUTPUT_TOKENS = parseInt(process.env.LLM_MAX_OUTPUT_TOKENS || '2048', 10);
+const LLM_CONTEXT_TOKENS = parseInt(process.env.LLM_CONTEXT_TOKENS || '32000', 10);
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '300000', 10);
+
+// Created on first use, so other providers don't need a Gemini key
+let genAI = null;
+
+/**
+ * Model, server URL and API key of a provider
+ * @param {string} provider - Provider name
+ * @returns {{provider: string, model: string, baseUrl: string, apiKey: string|undefined}} Provider settings
+ */
+function getProviderConfig(provider) {
+    const defaults = PROVIDER_DEFAULTS[provider] || {};
+    const prefix = provider === LLM_PROVIDER ? 'LLM' : `LLM_${provider.toUpperCase().replace(/-/g, '_')}`;
+
+    return {
+        provider,
+        model: process.env[`${prefix}_MODEL`] || defaults.model,
+        baseUrl: (process.env[`${prefix}_BASE_URL`] || defaults.baseUrl || '').replace(/\/+$/, ''),
+        apiKey: process.env[`${prefix}_API_KEY`]
+    };
+}
+
+/**
+ * POST JSON and parse the JSON response
+ * @param {string} provider - Provider name, for errors
+ * @param {string} url - Endpoint
+ * @param {Object} body - Request body
+ * @param {Object} [headers] - Extra headers
+ * @returns {Promise<Object>} Response body
+ */
+async function postJson(provider, url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(LLM_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`${provider} returned ${response.status}: ${(await response.text()).slice(0, 500)}`);
+    }
+    return response.json();
+}
+
+/**
+ * Google Gemini
+ */
+async function generateWithGemini(prompt, { model: modelName, temperature, maxOutputTokens, json }) {
+    if (!genAI) {
+        if (!process.env.GEMINI_API_KEY) {
+            throw new Error('GEMINI_API_KEY is not set');
+        }
+        genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    }
+
+    const model = genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: {
+            temperature,
+            maxOutputTokens,
+            ...(json ? { responseMimeType: 'application/json' } : {})
+        }
+    });
+    const result = await model.generateContent(prompt, { timeout: LLM_TIMEOUT_MS });
+    const response = await result.response;
+    return response.text();
+}
+
+/**
+ * OpenAI-compatible chat completions (also used for llama.cpp)
+ */
+async function generateWithOpenAI(prompt, { provider, model, baseUrl, apiKey, temperature, maxOutputTokens, json }) {
+    const result = await postJson(provider, `${baseUrl}/chat/completions`, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxOutputTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+    }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+    const choice = (result.choices || [])[0];
+    if (!choice || !choice.message) {
+        throw new Error(`${provider} returned no completion`);
+    }
+    return choice.message.content || '';
+}
+
+/**
+ * Ollama's native chat API, which lets us set the context window
+ */
+async function generateWithOllama(prompt, { provider, model, baseUrl, temperature, maxOutputTokens, json }) {
+    const result = await postJson(provider, `${baseUrl}/api/chat`, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+        ...(json ? { format: 'json' } : {}),
+        options: {
+            temperature,
+            num_predict: maxOutputTokens,
+            num_ctx: LLM_CONTEXT_TOKENS
+        }
+    });
+
+    if (!result.message) {
+        throw new Error('ollama returned no message');
+    }
+    return result.message.content || '';
+}
+
+/**
+ * Offline stand-in: describes the transcript in the prompt instead of summarizing it.
+ * The same prompt always gives the same output. JSON requests get empty meeting minutes
+ * (see minutes.js) with the description as their overview.
+ */
+async function generateWithStub(prompt, { json }) {
+    const turns = prompt.match(/^\[\d{2}:\d{2}:\d{2}\] [^:\n]+:/gm) || [];
+    const speakers = [...new Set(turns.map(turn => turn.slice(11, -1)))];
+
+    const description = turns.length === 0
+        ? 'Stub summary: the prompt contained no transcript lines.'
+        : `Stub summary: ${turns.length} speaker turn(s) by ${speakers.join(', ')}. No language model was called (LLM_PROVIDER=stub).`;
+
+    if (json) {
+        return JSON.stringify({ overview: description, topics: [], decisions: [], actionItems: [], openQuestions: [], risks: [] });
+    }
+    return description;
+}
+
+const PROVIDERS = {
+    'gemini': generateWithGemini,
+    'openai': generateWithOpenAI,
+    'ollama': generateWithOllama,
+    'llama-cpp': generateWithOpenAI,
+    'stub': generateWithStub
+};
+
+/**
+ * Name, model and token limits of a provider
+ * @param {string} [provider] - Provider name (default LLM_PROVIDER)
+ * @returns {{provider: string, model: string, contextTokens: number, maxOutputTokens: number}} Provider details
+ */
+function getLlmInfo(provider = LLM_PROVIDER) {
+    return {
+        provider,
+        model: getProviderConfig(provider).model,
+        contextTokens: LLM_CONTEXT_TOKENS,
+        maxOutputTokens: LLM_MAX_OUTPUT_TOKENS
+    };
+}
+
+/**
+ * Send a prompt to a language model
+ * @param {string} prompt - The full prompt
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider to use instead of LLM_PROVIDER
+ * @param {number} [options.temperature] - Overrides LLM_TEMPERATURE
+ * @param {number} [options.maxOutputTokens] - Overrides LLM_MAX_OUTPUT_TOKENS
+ * @param {boolean} [options.json] - Ask for a JSON object
+ * @returns {Promise<string>} The model's response, trimmed
+ */
+async function generateText(prompt, options = {}) {
+    const providerName = options.provider || LLM_PROVIDER;
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${providerName}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const text = await provider(prompt, {
+        ...getProviderConfig(providerName),
+        temperature: options.temperature !== undefined ? options.temperature : LLM_TEMPERATURE,
+        maxOutputTokens: options.maxOutputTokens || LLM_MAX_OUTPUT_TOKENS,
+        json: Boolean(options.json)
+    });
+    return text.trim();
+}
+
+module.exports = {
+    generateText,
+    getLlmInfo
+};
@@ -0,0 +1,138 @@
+/**
+ * Meeting Records
+ * Every transcribed meeting is kept as a JSON record in DATA_DIR/Meetings/<meetingId>.json,
+ * with its transcript and everything needed to summarize it again later:
+ *   {
+ *     "meetingId": "<guildId>_<channelId>_<timestamp>",
+ *     "guildId", "channelId", "channelName", "timestamp", "startedAt", "endedAt",
+ *     "attendees", "attendance", "analytics", "languages", "offRecord", "marks",
+ *     "template", "summaryLanguage", "transcript",
+ *     "rawTranscript": "…" or null,                 // unredacted transcript, only with REDACTION_KEEP_RAW
+ *     "redaction": { "total", "byType", "placeholders" } or null,   // what was redacted (see redaction.js)
+ *     "status": "pending-summary" | "summarized",
+ *     "lastError": "…" or null,                     // why the last summary attempt failed
+ *     "pendingParts": { "key", "parts" } or null,    // map step notes of a summary in progress
+ *     "pendingSummary": { … } or null,              // summary generated but not saved yet
+ *     "summaries": [{ "version", "createdAt", "template", "provider", "model", "summary", "minutes", "actionItems", "parts" }],
+ *     "actionItemIds": [12, 13]                     // tracked action items (see actions.js), set by the first summary
+ *   }
+ * A meeting stays "pending-summary" until a summary is saved, so failed summaries can be retried.
+ *
+ * DATA_DIR/Meetings/index.json lists every meeting without its transcript and summaries, so
+ * meetings can be listed (e.g. for autocomplete) without reading every record:
+ *   { "<meetingId>": { "meetingId", "guildId", "channelId", "channelName", "timestamp", "startedAt",
+ *                      "status", "summaryCount" } }
+ * It is rebuilt from the records if it is missing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const MEETINGS_FOLDER = path.join(DATA_DIR, 'Meetings');
+const INDEX_PATH = path.join(MEETINGS_FOLDER, 'index.json');
+
+// Ensure folder exists
+if (!fs.existsSync(MEETINGS_FOLDER)) fs.mkdirSync(MEETINGS_FOLDER, { recursive: true });
+
+/**
+ * Path of a meeting's record
+ */
+function getMeetingPath(meetingId) {
+    return path.join(MEETINGS_FOLDER, `${path.basename(meetingId)}.json`);
+}
+
+/**
+ * Write a JSON file atomically
+ */
+function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Index entry of a meeting record
+ */
+function toIndexEntry({ meetingId, guildId, channelId, channelName, timestamp, startedAt, status, summaries }) {
+    return { meetingId, guildId, channelId, channelName, timestamp, startedAt, status, summaryCount: (summaries || []).length };
+}
+
+// Meeting index, loaded on first use
+let meetingIndex = null;
+
+/**
+ * Load the meeting index, rebuilding it from the records if it is missing or unreadable
+ * @returns {Object<string, Object>} Index entries by meeting ID
+ */
+function getMeetingIndex() {
+    if (meetingIndex) return meetingIndex;
+
+    if (fs.existsSync(INDEX_PATH)) {
+        try {
+            meetingIndex = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+            return meetingIndex;
+        } catch (error) {
+            console.error('⚠️ Error reading the meeting index, rebuilding it:', error.message);
+        }
+    }
+
+    meetingIndex = {};
+    for (const file of fs.readdirSync(MEETINGS_FOLDER)) {
+        if (!file.endsWith('.json') || file === path.basename(INDEX_PATH)) continue;
+
+        try {
+            const meeting = JSON.parse(fs.readFileSync(path.join(MEETINGS_FOLDER, file), 'utf8'));
+            meetingIndex[meeting.meetingId] = toIndexEntry(meeting);
+        } catch (error) {
+            console.error(`⚠️ Skipping unreadable meeting record ${file}:`, error.message);
+        }
+    }
+    writeJsonFile(INDEX_PATH, meetingIndex);
+    return meetingIndex;
+}
+
+/**
+ * Write a meeting record atomically and update the index
+ * @param {Object} meeting - The record
+ */
+function saveMeeting(meeting) {
+    meeting.updatedAt = new Date().toISOString();
+    writeJsonFile(getMeetingPath(meeting.meetingId), meeting);
+
+    const index = getMeetingIndex();
+    index[meeting.meetingId] = toIndexEntry(meeting);
+    writeJsonFile(INDEX_PATH, index);
+}
+
+/**
+ * Load a meeting record
+ * @param {string} meetingId - Meeting ID
+ * @returns {Object|null} The record, or null if there is none
+ */
+function loadMeeting(meetingId) {
+    const meetingPath = getMeetingPath(meetingId);
+    if (!fs.existsSync(meetingPath)) return null;
+    return JSON.parse(fs.readFileSync(meetingPath, 'utf8'));
+}
+
+/**
+ * List meetings from the index, without loading their records
+ * @param {Object} [filter]
+ * @param {string} [filter.guildId] - Only this guild's meetings
+ * @param {string} [filter.status] - Only meetings with this status
+ * @returns {Array<{meetingId: string, guildId: string, channelId: string, channelName: string, timestamp: string, startedAt: number, status: string, summaryCount: number}>}
+ *          Index entries, newest first (use loadMeeting for the full record)
+ */
+function listMeetings({ guildId = null, status = null } = {}) {
+    return Object.values(getMeetingIndex())
+        .filter(meeting => (!guildId || meeting.guildId === guildId) && (!status || meeting.status === status))
+        .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+module.exports = {
+    saveMeeting,
+    loadMeeting,
+    listMeetings
+};
@@ -0,0 +1,190 @@
+/**
+ * Structured Meeting Minutes
+ * Schema, validation and rendering for the structured summary mode, where the model
+ * answers with JSON instead of a narrative paragraph:
+ *   {
+ *     "overview": "…",
+ *     "topics": [{ "title": "…", "summary": "…" }],
+ *     "decisions": [{ "decision": "…", "rationale": "…" or null }],
+ *     "actionItems": [{ "task": "…", "assignee": "…" or null, "dueDate": "YYYY-MM-DD" or null }],
+ *     "openQuestions": ["…"],
+ *     "risks": ["…"]
+ *   }
+ * Action items can also be extracted from a narrative summary on their own (parseActionItems),
+ * so they can be tracked across meetings (see actions.js).
+ */
+
+// Shown to the model, so it knows exactly what to return
+const MINUTES_SCHEMA_DESCRIPTION = `{
+  "overview": string,                       // 2-4 sentences on what the meeting was about and where it landed
+  "topics": [{ "title": string, "summary": string }],
+  "decisions": [{ "decision": string, "rationale": string | null }],
+  "actionItems": [{ "task": string, "assignee": string | null, "dueDate": "YYYY-MM-DD" | null }],
+  "openQuestions": [string],
+  "risks": [string]
+}`;
+
+// Shown to the model when it only extracts action items
+const ACTION_ITEMS_SCHEMA_DESCRIPTION = `{
+  "actionItems": [{ "task": string, "assignee": string | null, "dueDate": "YYYY-MM-DD" | null }]
+}`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that a value is a string, or null when allowed
+ */
+function checkString(errors, value, field, { nullable = false } = {}) {
+    if (value === null && nullable) return;
+    if (typeof value !== 'string' || value.trim().length === 0) {
+        errors.push(`${field} must be a non-empty string${nullable ? ' or null' : ''}`);
+    }
+}
+
+/**
+ * Check that a value is an array and check each item
+ */
+function checkArray(errors, value, field, checkItem) {
+    if (!Array.isArray(value)) {
+        errors.push(`${field} must be an array`);
+        return;
+    }
+    value.forEach((item, index) => checkItem(item, `${field}[${index}]`));
+}
+
+/**
+ * Check that a value is an object and check its fields
+ */
+function checkObject(errors, value, field, checkFields) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${field} must be an object`);
+        return;
+    }
+    checkFields(value);
+}
+
+/**
+ * Check one action item
+ */
+function checkActionItem(errors, item, field) {
+    checkObject(errors, item, field, () => {
+        checkString(errors, item.task, `${field}.task`);
+        checkString(errors, item.assignee, `${field}.assignee`, { nullable: true });
+        if (item.dueDate !== null && !(typeof item.dueDate === 'string' && DATE_PATTERN.test(item.dueDate))) {
+            errors.push(`${field}.dueDate must be a YYYY-MM-DD date or null`);
+        }
+    });
+}
+
+/**
+ * Validate minutes against the schema
+ * @param {*} minutes - Parsed model output
+ * @returns {string[]} Problems found; empty when the minutes are valid
+ */
+function validateMinutes(minutes) {
+    const errors = [];
+
+    checkObject(errors, minutes, 'minutes', () => {
+        checkString(errors, minutes.overview, 'overview');
+        checkArray(errors, minutes.topics, 'topics', (topic, field) => checkObject(errors, topic, field, () => {
+            checkString(errors, topic.title, `${field}.title`);
+            checkString(errors, topic.summary, `${field}.summary`);
+        }));
+        checkArray(errors, minutes.decisions, 'decisions', (decision, field) => checkObject(errors, decision, field, () => {
+            checkString(errors, decision.decision, `${field}.decision`);
+            checkString(errors, decision.rationale, `${field}.rationale`, { nullable: true });
+        }));
+        checkArray(errors, minutes.actionItems, 'actionItems', (item, field) => checkActionItem(errors, item, field));
+        checkArray(errors, minutes.openQuestions, 'openQuestions', (question, field) => checkString(errors, question, field));
+        checkArray(errors, minutes.risks, 'risks', (risk, field) => checkString(errors, risk, field));
+    });
+
+    return errors;
+}
+
+/**
+ * Take the JSON object out of the model's answer. Code fences and text around it are ignored.
+ * @param {string} text - Model output
+ * @returns {{value: *, errors: string[]}} The parsed object, or the problems found
+ */
+function parseJsonObject(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        return { value: null, errors: ['the response contains no JSON object'] };
+    }
+
+    try {
+        return { value: JSON.parse(text.slice(start, end + 1)), errors: [] };
+    } catch (error) {
+        return { value: null, errors: [`the response is not valid JSON (${error.message})`] };
+    }
+}
+
+/**
+ * Parse and validate the model's answer
+ * @param {string} text - Model output
+ * @returns {{minutes: Object|null, errors: string[]}} The minutes, or the problems found
+ */
+function parseMinutes(text) {
+    const { value: minutes, errors: parseErrors } = parseJsonObject(text);
+    if (parseErrors.length > 0) {
+        return { minutes: null, errors: parseErrors };
+    }
+
+    const errors = validateMinutes(minutes);
+    return errors.length > 0 ? { minutes: null, errors } : { minutes, errors };
+}
+
+/**
+ * Parse and validate an action item list ({ "actionItems": [...] })
+ * @param {string} text - Model output
+ * @returns {{actionItems: Object[]|null, errors: string[]}} The action items, or the problems found
+ */
+function parseActionItems(text) {
+    const { value, errors } = parseJsonObject(text);
+    if (errors.length > 0) {
+        return { actionItems: null, errors };
+    }
+
+    checkObject(errors, value, 'response', () => {
+        checkArray(errors, value.actionItems, 'actionItems', (item, field) => checkActionItem(errors, item, field));
+    });
+    return errors.length > 0 ? { actionItems: null, errors } : { actionItems: value.actionItems, errors };
+}
+
+/**
+ * Render minutes as plain text for the meetings file. Empty sections are left out.
+ * @param {Object} minutes - Valid minutes
+ * @returns {string} Rendered minutes
+ */
+function formatMinutes(minutes) {
+    const sections = [`Overview:\n${minutes.overview.trim()}`];
+
+    const addSection = (title, items, formatItem) => {
+        if (items.length > 0) {
+            sections.push(`${title}:\n${items.map(item => `- ${formatItem(item)}`).join('\n')}`);
+        }
+    };
+
+    addSection('Topics', minutes.topics, ({ title, summary }) => `${title}: ${summary}`);
+    addSection('Decisions', minutes.decisions, ({ decision, rationale }) => rationale ? `${decision} (why: ${rationale})` : decision);
+    addSection('Action Items', minutes.actionItems, ({ task, assignee, dueDate }) => {
+        const details = [`owner: ${assignee || 'unassigned'}`];
+        if (dueDate) details.push(`due: ${dueDate}`);
+        return `[ ] ${task} (${details.join(', ')})`;
+    });
+    addSection('Open Questions', minutes.openQuestions, question => question);
+    addSection('Risks', minutes.risks, risk => risk);
+
+    return sections.join('\n\n');
+}
+
+module.exports = {
+    MINUTES_SCHEMA_DESCRIPTION,
+    ACTION_ITEMS_SCHEMA_DESCRIPTION,
+    validateMinutes,
+    parseMinutes,
+    parseActionItems,
+    formatMinutes
+};
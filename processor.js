@@ -20,38 +20,50 @@ const {
 const path = require('path');
 
 // Import AI services
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { generateText, getLlmInfo } = require('./llm.js');
+
+// Import meeting helpers
+const { formatAttendanceTable } = require('./attendance.js');
+const { formatAnalyticsBlock } = require('./analytics.js');
+const { formatLanguages, estimateTokens, chunkTranscript } = require('./transcript.js');
+const { MINUTES_SCHEMA_DESCRIPTION, ACTION_ITEMS_SCHEMA_DESCRIPTION, parseMinutes, parseActionItems } = require('./minutes.js');
+const { formatActionItem } = require('./actions.js');
+const { getTemplate } = require('./templates.js');
 
 // Folder paths
 // Use persistent storage if available, otherwise use local directories
 const DATA_DIR = process.env.DATA_DIR || (existsSync('/data') ? '/data' : process.cwd());
 const SUMMARY_FOLDER = path.join(DATA_DIR, 'Summary');
 
+// One meeting entry in a channel's meetings file
+const ENTRY_PATTERN = /\n\n========================================\nDate: [\s\S]*?\n========================================\n/g;
+
+// Times the model may answer with malformed structured minutes (or action items) before giving up
+const MINUTES_MAX_ATTEMPTS = parseInt(process.env.MINUTES_MAX_ATTEMPTS || '3', 10);
+
+// Transcripts bigger than this are summarized part by part (map-reduce). By default the budget
+// is whatever the context window leaves after the rest of the prompt and the response.
+const PROMPT_OVERHEAD_TOKENS = 2000;
+const SUMMARY_CHUNK_TOKENS = parseInt(process.env.SUMMARY_CHUNK_TOKENS || '0', 10)
+    || Math.max(1000, getLlmInfo().contextTokens - getLlmInfo().maxOutputTokens - PROMPT_OVERHEAD_TOKENS);
+// Optionally also cap each part at this much meeting time; 0 for no limit
+const SUMMARY_CHUNK_MINUTES = parseInt(process.env.SUMMARY_CHUNK_MINUTES || '0', 10);
+
 // Ensure folders exist
 if (!existsSync(SUMMARY_FOLDER)) mkdirSync(SUMMARY_FOLDER);
 
-// Initialize Gemini AI client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 /**
- * Summarizes a transcript using Google Gemini AI with attendee information.
- * @param {string} transcript - Raw transcript text to summarize
- * @param {string[]} attendees - List of meeting attendees
- * @param {string} channelName - Name of the meeting channel
+ * Format the meeting date for a prompt, e.g. "Friday, October 24, 2025 at 07:31 PM UTC"
  * @param {string} meetingTimestamp - Optional meeting timestamp to use instead of current time
- * @returns {Promise<string>} Generated summary
+ * @returns {string} Formatted date
  */
-async function summarizeTranscript(transcript, attendees, channelName, meetingTimestamp = null) {
-    console.log('🤖 Generating summary with Gemini AI...');
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash-lite" });
-
-    let meetingDate;
+function formatMeetingDate(meetingTimestamp) {
     if (meetingTimestamp) {
         // Parse the timestamp from filename (e.g., "2025-10-24T19-31-20-967Z")
         // Convert to proper ISO format: 2025-10-24T19:31:20.967Z
         const isoTimestamp = meetingTimestamp.replace(/(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z/, '$1:$2:$3.$4Z');
         const date = new Date(isoTimestamp);
-        meetingDate = date.toLocaleString('en-US', {
+        return date.toLocaleString('en-US', {
             weekday: 'long',
             year: 'numeric',
             month: 'long',
@@ -62,7 +74,7 @@ async function summarizeTranscript(transcript, attendees, channelName, meetingTi
         });
     } else {
         // Fallback to current time if no timestamp provided
-        meetingDate = new Date().toLocaleString('en-US', {
+        return new Date().toLocaleString('en-US', {
             weekday: 'long',
             year: 'numeric',
             month: 'long',
@@ -72,27 +84,129 @@ async function summarizeTranscript(transcript, attendees, channelName, meetingTi
             timeZoneName: 'short'
         });
     }
+}
 
-    const prompt = `Provide a comprehensive meeting summary as a flowing narrative paragraph (no bullets or lists). Capture major topics, decisions (with rationale if present), action items, blockers, timelines, and follow-ups. Avoid naming specific people. Aim for substance over brevity; write at least 8–12 sentences when the transcript has enough content.
-
-Meeting Details:
+/**
+ * Build the meeting details and transcript part of a summary prompt, shared by the narrative and minutes modes
+ * @param {string} transcript - Speaker-attributed dialogue transcript to summarize
+ * @param {string[]} attendees - List of meeting attendees
+ * @param {string} channelName - Name of the meeting channel
+ * @param {string} meetingTimestamp - Optional meeting timestamp to use instead of current time
+ * @param {Object} options - Additional meeting context (see summarizeTranscript); with options.parts
+ *        the part notes are given instead of the transcript
+ * @returns {{context: string, requirements: string, outputLanguage: string}} Prompt context and the
+ *          output requirements that depend on it (each on its own line, starting with a newline)
+ */
+function buildMeetingContext(transcript, attendees, channelName, meetingTimestamp, options) {
+    const { offRecord = [], marks = [], languages = [], glossary = [], redacted = false, openActionItems = [], parts = null, outputLanguage = 'English' } = options;
+
+    const meetingDate = formatMeetingDate(meetingTimestamp);
+
+    const describeGaps = gaps => gaps.map(({ offset, minutes }) => `at ${offset} for ${minutes} min`).join(', ');
+    const paused = offRecord.filter(({ interrupted }) => !interrupted);
+    const interrupted = offRecord.filter(({ interrupted }) => interrupted);
+    const offRecordDetails = (paused.length > 0
+        ? `\n- Off the record: recording was paused ${paused.length} time(s) (${describeGaps(paused)}); those parts are not in the transcript`
+        : '') + (interrupted.length > 0
+        ? `\n- Not recorded: recording was interrupted ${interrupted.length} time(s) (${describeGaps(interrupted)}); those parts are not in the transcript`
+        : '');
+    const offRecordRequirement = paused.length > 0
+        ? '\n- Mention briefly that part of the meeting was off the record, without guessing what was discussed.'
+        : '';
+    const marksDetails = marks.length > 0
+        ? `\n- Bookmarked moments:\n${marks.map(({ offset, note, author }) => `  - [${offset}] ${note} (marked by ${author})`).join('\n')}`
+        : '';
+    const marksRequirement = marks.length > 0
+        ? '\n- Explicitly cover what was said or decided at each bookmarked moment.'
+        : '';
+
+    const languagesDetails = languages.length > 0
+        ? `\n- Spoken languages: ${formatLanguages(languages)}`
+        : '';
+    const glossaryDetails = glossary.length > 0
+        ? `\n- Team glossary: ${glossary.join(', ')}`
+        : '';
+    const glossaryRequirement = glossary.length > 0
+        ? '\n- Spell team glossary terms exactly as listed, even where the transcript spells them differently.'
+        : '';
+
+    const actionItemsDetails = openActionItems.length > 0
+        ? `\n- Open action items from earlier meetings in this channel:\n${openActionItems.map(item => `  - ${formatActionItem(item)}`).join('\n')}`
+        : '';
+    const actionItemsRequirement = openActionItems.length > 0
+        ? '\n- Report which open action items from earlier meetings were completed and which are still outstanding, referring to them by their #number. Don\'t repeat them as new action items.'
+        : '';
+
+    const redactionRequirement = redacted
+        ? '\n- Bracketed placeholders such as [EMAIL_1], [PHONE_2] or [CUSTOMER_1] stand for redacted personal data or secrets. Keep them exactly as written and don\'t guess what they hide.'
+        : '';
+
+    const transcriptSection = parts
+        ? `The transcript was too long to send at once, so it was summarized in ${parts.length} consecutive parts. Notes on each part, headed by its time range relative to the meeting start:
+${parts.map(({ start, end, summary }) => `\n[${start}–${end}]\n${summary}`).join('\n')}`
+        : `Transcript (one line per speaker turn, formatted as "[HH:MM:SS] Speaker: text" with times relative to the meeting start):
+${transcript}`;
+    const partsRequirement = parts
+        ? '\n- Treat the part notes as one meeting: merge topics, decisions and action items that span parts instead of going through the parts one by one.'
+        : '';
+
+    const context = `Meeting Details:
 - Channel: ${channelName}
 - Attendees: ${attendees.join(', ')}
-- Date: ${meetingDate}
+- Date: ${meetingDate}${languagesDetails}${glossaryDetails}${offRecordDetails}${marksDetails}${actionItemsDetails}
 
-Transcript:
-${transcript}
+${transcriptSection}`;
 
-Output requirements:
-- Only output the summary paragraph, no headers or extra text.
-- If the transcript seems very short or incomplete, note that the transcript may be partial before summarizing.`;
+    return {
+        context,
+        requirements: `${partsRequirement}${glossaryRequirement}${redactionRequirement}${offRecordRequirement}${marksRequirement}${actionItemsRequirement}`,
+        outputLanguage
+    };
+}
+
+/**
+ * Summarizes a transcript with the configured LLM provider, including attendee information.
+ * @param {string} transcript - Speaker-attributed dialogue transcript to summarize
+ * @param {string[]} attendees - List of meeting attendees
+ * @param {string} channelName - Name of the meeting channel
+ * @param {string} meetingTimestamp - Optional meeting timestamp to use instead of current time
+ * @param {Object} [options] - Additional meeting context
+ * @param {Array<{offset: string, minutes: number, interrupted?: boolean}>} [options.offRecord] - Periods where recording was paused or interrupted
+ * @param {Array<{offset: string, note: string, author: string}>} [options.marks] - Moments bookmarked during the meeting
+ * @param {Array<{name: string, share: number}>} [options.languages] - Languages detected in the transcript
+ * @param {string[]} [options.glossary] - Team terms whose spelling the summary must keep
+ * @param {boolean} [options.redacted] - The transcript contains redaction placeholders (see redaction.js)
+ * @param {Array<Object>} [options.openActionItems] - The channel's open action items from earlier meetings (see actions.js)
+ * @param {Array<{start: string, end: string, summary: string}>} [options.parts] - Part notes from
+ *        summarizeTranscriptParts, summarized instead of the transcript
+ * @param {string} [options.outputLanguage] - Language to write the summary in (default English)
+ * @param {Object} [options.template] - Summary template (see templates.js); the built-in default if omitted
+ * @param {string} [options.provider] - LLM provider instead of LLM_PROVIDER (see llm.js)
+ * @returns {Promise<string>} Generated summary
+ */
+async function summarizeTranscript(transcript, attendees, channelName, meetingTimestamp = null, options = {}) {
+    const template = options.template || getTemplate('default');
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let summary = response.text();
+    const { provider, model } = getLlmInfo(options.provider);
+    console.log(`🤖 Generating summary with ${provider} (${model}), template "${template.name}"...`);
 
-    // Clean up any unwanted formatting that AI might add
-    summary = summary.trim();
+    const { context, requirements, outputLanguage } = buildMeetingContext(transcript, attendees, channelName, meetingTimestamp, options);
+
+    const outputRequirement = template.sections.length > 0
+        ? `- Organize the summary under these headings, in this order, each on its own line followed by its content: ${template.sections.join(' / ')}. Write "None" under a heading with nothing to report.
+- Only output the summary, no other headers or extra text.`
+        : '- Only output the summary paragraph, no headers or extra text.';
+
+    const prompt = `${[template.prompt, template.length].filter(Boolean).join(' ')}
+
+${context}
+
+Output requirements:
+${outputRequirement}
+- Write the summary in ${outputLanguage}, whatever language(s) the meeting was held in. Keep names, product terms and quotes as spoken.
+- If the transcript seems very short or incomplete, note that the transcript may be partial before summarizing.${requirements}`;
+
+    let summary = await generateText(prompt, { provider });
 
     // Remove any duplicate formatting if AI still added it
     summary = summary.replace(/^========================================[\s\S]*?Summary:\s*/i, '');
@@ -103,27 +217,203 @@ Output requirements:
     return summary;
 }
 
+/**
+ * Map step of map-reduce summarization: split a transcript that is too long for one prompt
+ * into consecutive parts (SUMMARY_CHUNK_TOKENS, SUMMARY_CHUNK_MINUTES) and take notes on each.
+ * If the notes together are still too long, neighbouring notes are merged until they fit.
+ * Pass the result to summarizeTranscript or generateMinutes as options.parts for the reduce step.
+ * @param {string} transcript - Speaker-attributed dialogue transcript to summarize
+ * @param {string[]} attendees - List of meeting attendees
+ * @param {string} channelName - Name of the meeting channel
+ * @param {string} meetingTimestamp - Optional meeting timestamp to use instead of current time
+ * @param {Object} [options] - Additional meeting context (same as summarizeTranscript)
+ * @returns {Promise<Array<{start: string, end: string, summary: string}>|null>} Part notes with their
+ *          time ranges (HH:MM:SS), or null when the transcript fits in one prompt
+ */
+async function summarizeTranscriptParts(transcript, attendees, channelName, meetingTimestamp = null, options = {}) {
+    const chunks = chunkTranscript(transcript, { maxTokens: SUMMARY_CHUNK_TOKENS, maxMinutes: SUMMARY_CHUNK_MINUTES });
+    if (chunks.length <= 1) return null;
+
+    const { provider, model } = getLlmInfo(options.provider);
+    console.log(`🤖 Transcript is long, summarizing it in ${chunks.length} parts with ${provider} (${model})...`);
+
+    const takeNotes = async (text, description) => {
+        const { context, requirements, outputLanguage } = buildMeetingContext(text, attendees, channelName, meetingTimestamp, { ...options, parts: null });
+        const prompt = `${description} Notes from all parts will be combined into one summary of the meeting later, so capture everything that matters: topics, decisions (with rationale), action items with the person responsible and any due date, open questions, risks and blockers. Start each point with the [HH:MM:SS] time it came up.
+
+${context}
+
+Output requirements:
+- Only output the notes as short lines, no headers or extra text.
+- Write the notes in ${outputLanguage}. Keep names, product terms and quotes as spoken.${requirements}`;
+        return generateText(prompt, { provider });
+    };
+
+    let parts = [];
+    for (const [index, chunk] of chunks.entries()) {
+        console.log(`🧩 Summarizing part ${index + 1}/${chunks.length} [${chunk.start}–${chunk.end}]...`);
+        const summary = await takeNotes(chunk.text, `Take notes on part ${index + 1} of ${chunks.length} of a meeting (${chunk.start}–${chunk.end}).`);
+        parts.push({ start: chunk.start, end: chunk.end, summary });
+    }
+
+    // Merge neighbouring notes while they are too long for the final prompt together
+    while (parts.length > 1 && estimateTokens(parts.map(({ summary }) => summary).join('\n\n')) > SUMMARY_CHUNK_TOKENS) {
+        const merged = [];
+        for (let index = 0; index < parts.length; index += 2) {
+            const group = parts.slice(index, index + 2);
+            if (group.length === 1) {
+                merged.push(group[0]);
+                continue;
+            }
+
+            const [first, second] = group;
+            console.log(`🧩 Merging notes [${first.start}–${second.end}]...`);
+            const summary = await takeNotes(`${first.summary}\n${second.summary}`,
+                `Below are notes (instead of a transcript) on two consecutive parts of a meeting (${first.start}–${second.end}). Condense them into one set of notes.`);
+            merged.push({ start: first.start, end: second.end, summary });
+        }
+        parts = merged;
+    }
+
+    console.log(`✅ Transcript summarized in ${parts.length} parts`);
+    return parts;
+}
+
+/**
+ * Generates structured meeting minutes (see minutes.js) with the configured LLM provider.
+ * Output that is not valid JSON or doesn't match the schema is sent back to the model
+ * with the problems found, up to MINUTES_MAX_ATTEMPTS times.
+ * @param {string} transcript - Speaker-attributed dialogue transcript to summarize
+ * @param {string[]} attendees - List of meeting attendees
+ * @param {string} channelName - Name of the meeting channel
+ * @param {string} meetingTimestamp - Optional meeting timestamp to use instead of current time
+ * @param {Object} [options] - Additional meeting context (same as summarizeTranscript); a template's
+ *        prompt steers what the minutes focus on
+ * @returns {Promise<Object>} Validated minutes
+ */
+async function generateMinutes(transcript, attendees, channelName, meetingTimestamp = null, options = {}) {
+    const { provider, model } = getLlmInfo(options.provider);
+    console.log(`🤖 Generating structured minutes with ${provider} (${model})...`);
+
+    const { context, requirements, outputLanguage } = buildMeetingContext(transcript, attendees, channelName, meetingTimestamp, options);
+    const templateRequirement = options.template && options.template.name !== 'default'
+        ? `\n- What matters for this kind of meeting: ${options.template.prompt}`
+        : '';
+
+    const prompt = `Write structured minutes of this meeting: an overview, the topics discussed, decisions with their rationale, action items with the person responsible and due date, open questions, and risks.
+
+${context}
+
+Output requirements:
+- Only output one JSON object matching this schema, no code fences or extra text:
+${MINUTES_SCHEMA_DESCRIPTION}
+- Use empty arrays for sections with nothing to report; never invent content.
+- An action item's assignee is the attendee responsible for it, as named in the attendee list, or null if nobody took it.
+- Give due dates as YYYY-MM-DD, working out relative dates ("next Friday") from the meeting date; use null when none was given.
+- Write all text values in ${outputLanguage}, whatever language(s) the meeting was held in. Keep names, product terms and quotes as spoken.
+- If the transcript seems very short or incomplete, say so in the overview.${templateRequirement}${requirements}`;
+
+    let lastErrors = [];
+    for (let attempt = 1; attempt <= MINUTES_MAX_ATTEMPTS; attempt++) {
+        const retryNote = lastErrors.length > 0
+            ? `\n\nYour previous answer was rejected because ${lastErrors.slice(0, 10).join('; ')}. Answer again with valid JSON only.`
+            : '';
+
+        const { minutes, errors } = parseMinutes(await generateText(`${prompt}${retryNote}`, { provider, json: true }));
+        if (minutes) {
+            console.log('✅ Structured minutes generated successfully');
+            return minutes;
+        }
+
+        lastErrors = errors;
+        console.error(`⚠️ Malformed minutes (attempt ${attempt}/${MINUTES_MAX_ATTEMPTS}): ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    throw new Error(`Model did not return valid minutes after ${MINUTES_MAX_ATTEMPTS} attempts: ${lastErrors.slice(0, 3).join('; ')}`);
+}
+
+/**
+ * Extract the action items of a narrative summary, so they can be tracked (see actions.js).
+ * The model's answer is validated like structured minutes, and asked again when malformed.
+ * @param {string} summary - The meeting summary
+ * @param {string[]} attendees - List of meeting attendees
+ * @param {string} meetingTimestamp - Optional meeting timestamp, to work out relative due dates
+ * @param {Object} [options]
+ * @param {string} [options.provider] - LLM provider instead of LLM_PROVIDER
+ * @returns {Promise<Array<{task: string, assignee: string|null, dueDate: string|null}>>} Action items
+ */
+async function extractActionItems(summary, attendees, meetingTimestamp = null, options = {}) {
+    const { provider } = getLlmInfo(options.provider);
+
+    const prompt = `List the action items in this meeting summary: tasks someone agreed to do after the meeting.
+
+Meeting Details:
+- Attendees: ${attendees.join(', ')}
+- Date: ${formatMeetingDate(meetingTimestamp)}
+
+Summary:
+${summary}
+
+Output requirements:
+- Only output one JSON object matching this schema, no code fences or extra text:
+${ACTION_ITEMS_SCHEMA_DESCRIPTION}
+- Only include tasks the summary states; use an empty array if there are none. Leave out items from earlier meetings that the summary reports as completed or still outstanding (they refer to #numbers).
+- An action item's assignee is the attendee responsible for it, as named in the attendee list, or null if nobody took it.
+- Give due dates as YYYY-MM-DD, working out relative dates ("next Friday") from the meeting date; use null when none was given.
+- Keep each task short, in the language of the summary.`;
+
+    let lastErrors = [];
+    for (let attempt = 1; attempt <= MINUTES_MAX_ATTEMPTS; attempt++) {
+        const retryNote = lastErrors.length > 0
+            ? `\n\nYour previous answer was rejected because ${lastErrors.slice(0, 10).join('; ')}. Answer again with valid JSON only.`
+            : '';
+
+        const { actionItems, errors } = parseActionItems(await generateText(`${prompt}${retryNote}`, { provider, json: true }));
+        if (actionItems) {
+            console.log(`✅ Extracted ${actionItems.length} action item(s) from the summary`);
+            return actionItems;
+        }
+
+        lastErrors = errors;
+        console.error(`⚠️ Malformed action items (attempt ${attempt}/${MINUTES_MAX_ATTEMPTS}): ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    throw new Error(`Model did not return valid action items after ${MINUTES_MAX_ATTEMPTS} attempts: ${lastErrors.slice(0, 3).join('; ')}`);
+}
+
 /**
  * Saves the summary to a local text file, appending to channel-specific file.
  * @param {string} summary - The generated summary
  * @param {string[]} attendees - List of meeting attendees
  * @param {string} channelName - Name of the meeting channel
  * @param {string} meetingTimestamp - Optional meeting timestamp to use instead of current time
+ * @param {Object} [options] - Additional sections for the meeting entry
+ * @param {Array<Object>} [options.attendance] - Attendance rows (see attendance.js summarizeAttendance)
+ * @param {Object} [options.analytics] - Conversation analytics (see analytics.js analyzeMeeting)
+ * @param {Array<{name: string, share: number}>} [options.languages] - Languages detected in the transcript
+ * @param {Array<{start: string, end: string}>} [options.parts] - Time ranges of the parts a long transcript was summarized in
+ * @param {{total: number, byType: Object<string, number>}} [options.redaction] - Redaction report of the transcript
+ * @param {number[]} [options.actionItemIds] - IDs of the meeting's tracked action items (see actions.js)
+ * @param {string} [options.meetingId] - Meeting ID, recorded in the entry so it can be found again
+ * @param {number} [options.version] - Summary version; versions after the first are marked in the entry
+ * @param {boolean} [options.replace] - Replace the meeting's latest entry instead of appending one
  * @returns {Promise<void>}
+ * @throws {Error} If the summary is empty, the channel name is invalid or the file can't be written,
+ *         so the save job is retried
  */
-async function saveSummaryLocally(summary, attendees, channelName, meetingTimestamp = null) {
+async function saveSummaryLocally(summary, attendees, channelName, meetingTimestamp = null, options = {}) {
+    const { attendance = [], analytics = null, languages = [], parts = [], redaction = null, actionItemIds = [], meetingId = null, version = 1, replace = false } = options;
+
     console.log('📄 Saving summary locally...');
 
     // Validate that summary is not empty
     if (!summary || summary.trim().length === 0) {
-        console.error('❌ Cannot save empty summary');
-        return;
+        throw new Error('Cannot save empty summary');
     }
 
     // Validate channelName to prevent null filenames
     if (!channelName || channelName === 'null' || channelName.trim().length === 0) {
-        console.error('❌ Cannot save summary - invalid channelName');
-        return;
+        throw new Error('Cannot save summary - invalid channelName');
     }
 
     // Create a single file per channel that appends new meetings
@@ -163,22 +453,47 @@ async function saveSummaryLocally(summary, attendees, channelName, meetingTimest
         });
     }
 
-    const meetingEntry = `\n\n========================================\nDate: ${meetingDate} at ${meetingTime}\nAttendees: ${attendees.join(', ')}\n\nSummary:\n${summary}\n========================================\n`;
-
-    // Append to the channel file
-    try {
-        await fsPromises.appendFile(channelSummaryPath, meetingEntry);
-        console.log(`✅ Meeting summary appended to channel file: ${channelSummaryPath}`);
-    } catch (error) {
-        console.error('❌ Error appending to channel summary file:', error);
-        // Fallback: create the file if it doesn't exist
-        try {
-            await fsPromises.writeFile(channelSummaryPath, meetingEntry);
-            console.log(`✅ Created new channel summary file: ${channelSummaryPath}`);
-        } catch (createError) {
-            console.error('❌ Failed to create channel summary file:', createError);
+    const attendanceSection = attendance.length > 0
+        ? `\nAttendance:\n${formatAttendanceTable(attendance)}\n`
+        : '';
+    const analyticsSection = analytics && analytics.participants.length > 0
+        ? `\nMeeting Stats:\n${formatAnalyticsBlock(analytics)}\n`
+        : '';
+
+    const languageLine = languages.length > 0
+        ? `Language: ${formatLanguages(languages)}\n`
+        : '';
+    const meetingIdLine = meetingId ? `Meeting ID: ${meetingId}\n` : '';
+    const versionLine = version > 1 ? `Version: ${version} (re-summarized ${new Date().toISOString().slice(0, 10)})\n` : '';
+    const redactionLine = redaction && redaction.total > 0
+        ? `Redacted before summarizing: ${Object.entries(redaction.byType).map(([type, count]) => `${count} ${type}`).join(', ')}\n`
+        : '';
+    const actionItemsLine = actionItemIds.length > 0
+        ? `Tracked action items: ${actionItemIds.map(id => `#${id}`).join(', ')}\n`
+        : '';
+    const partsLine = parts.length > 0
+        ? `Summarized in ${parts.length} parts: ${parts.map(({ start, end }) => `${start}–${end}`).join(', ')}\n`
+        : '';
+
+    const meetingEntry = `\n\n========================================\nDate: ${meetingDate} at ${meetingTime}\n${meetingIdLine}${versionLine}Attendees: ${attendees.join(', ')}\n${languageLine}${redactionLine}${partsLine}${actionItemsLine}${attendanceSection}${analyticsSection}\nSummary:\n${summary}\n========================================\n`;
+
+    // Replace the meeting's latest entry, if asked to and there is one
+    if (replace && meetingId && existsSync(channelSummaryPath)) {
+        const content = await fsPromises.readFile(channelSummaryPath, 'utf8');
+        const entries = content.match(ENTRY_PATTERN) || [];
+        const previous = entries.filter(entry => entry.includes(`\nMeeting ID: ${meetingId}\n`)).pop();
+        if (previous) {
+            const index = content.lastIndexOf(previous);
+            await fsPromises.writeFile(channelSummaryPath, content.slice(0, index) + meetingEntry + content.slice(index + previous.length));
+            console.log(`✅ Meeting summary replaced in channel file: ${channelSummaryPath}`);
+            return;
         }
+        console.log('ℹ️ No earlier entry for this meeting, appending instead');
     }
+
+    // Append to the channel file (created if it doesn't exist); failures are thrown so the save can be retried
+    await fsPromises.appendFile(channelSummaryPath, meetingEntry);
+    console.log(`✅ Meeting summary appended to channel file: ${channelSummaryPath}`);
 }
 
 /**
@@ -247,6 +562,9 @@ function cleanupTemporarySummaryFiles() {
 // Export functions for use by the main bot
 module.exports = {
     summarizeTranscript,
+    summarizeTranscriptParts,
+    generateMinutes,
+    extractActionItems,
     saveSummaryLocally,
     cleanupTemporarySummaryFiles
 };
\ No newline at end of file
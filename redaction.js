@@ -0,0 +1,300 @@
+/**
+ * Transcript Redaction
+ * Replaces personal data and secrets in transcripts with typed placeholders ([EMAIL_1], [PHONE_2], ...)
+ * before they are sent to a language model or uploaded. The same value always gets the same
+ * placeholder within a meeting, so the summary can still tell two people's emails apart.
+ *
+ * What is redacted:
+ * - matches of the regex rules in DATA_DIR/Redaction/rules.json (written with the built-in rules
+ *   for emails, phone numbers, card numbers and API tokens the first time, so they can be edited):
+ *     { "rules": [{ "name": "email", "type": "EMAIL", "pattern": "...", "flags": "i",
+ *                   "check": "luhn", "minDigits": 7 }] }    // check and minDigits are optional
+ * - the guild's deny-list of terms (customer names, project codenames, ...), managed with /redact
+ *   and stored in DATA_DIR/Redaction/<guildId>.json
+ *
+ * Configuration (.env):
+ *   REDACTION_ENABLED=true            # Redact transcripts before summarizing them
+ *   REDACTION_KEEP_RAW=false          # Also keep the unredacted transcript in the meeting record (never sent anywhere)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { wholeWordPattern } = require('./glossary.js');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const REDACTION_FOLDER = path.join(DATA_DIR, 'Redaction');
+const RULES_PATH = path.join(REDACTION_FOLDER, 'rules.json');
+
+const REDACTION_ENABLED = process.env.REDACTION_ENABLED !== 'false';
+const REDACTION_KEEP_RAW = process.env.REDACTION_KEEP_RAW === 'true';
+
+// Placeholder types are upper case, e.g. EMAIL or CUSTOMER
+const TYPE_PATTERN = /^[A-Z][A-Z_]{0,19}$/;
+const DEFAULT_TERM_TYPE = 'TERM';
+
+const BUILT_IN_RULES = [
+    {
+        name: 'api-key',
+        type: 'TOKEN',
+        pattern: '\\b(?:sk-[A-Za-z0-9_-]{16,}|gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,})'
+    },
+    {
+        name: 'long-token',
+        type: 'TOKEN',
+        pattern: '\\b(?=[A-Za-z0-9_-]*[0-9])(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\\b'
+    },
+    {
+        name: 'email',
+        type: 'EMAIL',
+        pattern: '[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}'
+    },
+    {
+        name: 'card-number',
+        type: 'CARD',
+        pattern: '(?<!\\d)(?:\\d[ -]?){12,18}\\d(?!\\d)',
+        check: 'luhn'
+    },
+    {
+        // Needs phone-like structure: "+44 20 7946 0958", "(555) 123-4567", "555-123-4567" or "555.123.4567".
+        // Dates ("2025-10-24"), plain figures ("2500000", "1,500") and number runs ("budget 100 200 3000",
+        // "555 123 4567") are left alone.
+        name: 'phone-number',
+        type: 'PHONE',
+        pattern: '(?<![\\w+])(?!\\d{4}-\\d{2}-\\d{2}(?!\\d))(?:\\+\\d{1,3}[ .-]?(?:\\(\\d{1,4}\\)[ .-]?)?\\d{1,4}(?:[ .-]?\\d{2,4}){1,4}|\\(\\d{2,4}\\)[ .-]?\\d{3,4}[ .-]?\\d{3,4}|\\d{3}([.-])\\d{3}\\1\\d{4})(?!\\w)',
+        minDigits: 7
+    }
+];
+
+// Earlier built-in patterns that redacted too much; rules files still using them unedited are upgraded
+const REPLACED_PATTERNS = {
+    'phone-number': [
+        '(?<![\\w+])(?:\\+\\d{1,3}[ .-]?)?(?:\\(\\d{1,4}\\)[ .-]?)?\\d{2,4}(?:[ .-]?\\d{2,4}){1,4}(?!\\w)',
+        '(?<![\\w+])(?!\\d{4}-\\d{2}-\\d{2}(?!\\d))(?:\\+\\d{1,3}[ .-]?(?:\\(\\d{1,4}\\)[ .-]?)?\\d{1,4}(?:[ .-]?\\d{2,4}){1,4}|\\(\\d{2,4}\\)[ .-]?\\d{3,4}[ .-]?\\d{3,4}|\\d{3}[ .-]\\d{3}[ .-]\\d{4})(?!\\w)'
+    ]
+};
+
+// Write the built-in rules the first time, so they can be edited
+if (!fs.existsSync(REDACTION_FOLDER)) fs.mkdirSync(REDACTION_FOLDER, { recursive: true });
+if (!fs.existsSync(RULES_PATH)) {
+    fs.writeFileSync(RULES_PATH, JSON.stringify({ rules: BUILT_IN_RULES }, null, 2));
+} else {
+    upgradeRules();
+}
+
+/**
+ * Replace built-in rules that still have a replaced pattern with the current one
+ */
+function upgradeRules() {
+    try {
+        const config = JSON.parse(fs.readFileSync(RULES_PATH, 'utf8'));
+        let upgraded = false;
+        (config.rules || []).forEach(rule => {
+            const builtIn = BUILT_IN_RULES.find(({ name }) => name === rule.name);
+            if (builtIn && (REPLACED_PATTERNS[rule.name] || []).includes(rule.pattern)) {
+                rule.pattern = builtIn.pattern;
+                upgraded = true;
+            }
+        });
+
+        if (upgraded) {
+            fs.writeFileSync(RULES_PATH, JSON.stringify(config, null, 2));
+            console.log('🔄 Upgraded built-in redaction rules in', RULES_PATH);
+        }
+    } catch (error) {
+        // loadRules reports unreadable rules files
+    }
+}
+
+/**
+ * Luhn checksum, so random digit runs aren't taken for card numbers
+ */
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Load the regex rules. Invalid rules are skipped with a warning.
+ * @returns {Array<{name: string, type: string, regex: RegExp, check: string|null, minDigits: number}>} Rules in file order
+ */
+function loadRules() {
+    let rules;
+    try {
+        rules = JSON.parse(fs.readFileSync(RULES_PATH, 'utf8')).rules || [];
+    } catch (error) {
+        console.error('⚠️ Error reading redaction rules, using the built-in ones:', error.message);
+        rules = BUILT_IN_RULES;
+    }
+
+    return rules.flatMap(rule => {
+        try {
+            const type = String(rule.type || '').toUpperCase();
+            if (!TYPE_PATTERN.test(type)) {
+                throw new Error(`"type" must be a word like EMAIL, got "${rule.type}"`);
+            }
+            const flags = Array.from(new Set(`g${(rule.flags || '').replace(/[gy]/g, '')}`)).join('');
+            return [{
+                name: rule.name || type.toLowerCase(),
+                type,
+                regex: new RegExp(rule.pattern, flags),
+                check: rule.check || null,
+                minDigits: rule.minDigits || 0
+            }];
+        } catch (error) {
+            console.error(`⚠️ Skipping invalid redaction rule ${rule.name || '(unnamed)'}:`, error.message);
+            return [];
+        }
+    });
+}
+
+/**
+ * Path of a guild's deny-list file
+ */
+function getDenyListPath(guildId) {
+    return path.join(REDACTION_FOLDER, `${path.basename(guildId)}.json`);
+}
+
+/**
+ * Load a guild's deny-list
+ * @param {string} guildId - Discord guild ID
+ * @returns {Array<{term: string, type: string}>} Terms in alphabetical order
+ */
+function getDenyList(guildId) {
+    const denyListPath = getDenyListPath(guildId);
+    if (!fs.existsSync(denyListPath)) return [];
+
+    try {
+        return JSON.parse(fs.readFileSync(denyListPath, 'utf8')).terms || [];
+    } catch (error) {
+        console.error(`⚠️ Error reading redaction deny-list for guild ${guildId}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Save a guild's deny-list
+ */
+function saveDenyList(guildId, terms) {
+    terms.sort((a, b) => a.term.localeCompare(b.term));
+    fs.writeFileSync(getDenyListPath(guildId), JSON.stringify({ terms }, null, 2));
+}
+
+/**
+ * Add a term to the deny-list, or change its placeholder type
+ * @param {string} guildId - Discord guild ID
+ * @param {string} term - Term to redact (matched as whole words, ignoring case)
+ * @param {string} [type] - Placeholder type, e.g. "CUSTOMER" (default TERM)
+ * @returns {{isNew: boolean, type: string}} Whether the term is new, and its placeholder type
+ */
+function addDenyTerm(guildId, term, type = DEFAULT_TERM_TYPE) {
+    const placeholderType = type.trim().toUpperCase().replace(/[\s-]+/g, '_');
+    if (!TYPE_PATTERN.test(placeholderType)) {
+        throw new Error('The type must be a single word of letters, e.g. CUSTOMER');
+    }
+
+    const terms = getDenyList(guildId);
+    const existing = terms.find(entry => entry.term.toLowerCase() === term.toLowerCase());
+    if (existing) {
+        existing.type = placeholderType;
+    } else {
+        terms.push({ term, type: placeholderType });
+    }
+
+    saveDenyList(guildId, terms);
+    return { isNew: !existing, type: placeholderType };
+}
+
+/**
+ * Remove a term from the deny-list
+ * @param {string} guildId - Discord guild ID
+ * @param {string} term - Term to remove (case-insensitive)
+ * @returns {boolean} False if the term wasn't on the deny-list
+ */
+function removeDenyTerm(guildId, term) {
+    const terms = getDenyList(guildId);
+    const remaining = terms.filter(entry => entry.term.toLowerCase() !== term.toLowerCase());
+    if (remaining.length === terms.length) return false;
+
+    saveDenyList(guildId, remaining);
+    return true;
+}
+
+/**
+ * Create a redactor for one meeting. Placeholders are numbered per type across every text it
+ * redacts, and each replacement is counted for the redaction report.
+ * @param {string} guildId - Discord guild ID, for the deny-list
+ * @returns {{redact: function(string, {count?: boolean}=): string, getReport: function(): Object}}
+ *          redact() replaces matches in a text (count: false for copies of text already counted,
+ *          e.g. timed segments); getReport() describes what was redacted, without the values
+ */
+function createRedactor(guildId) {
+    // Deny-list terms before the rules; a term inside a longer term is only replaced on its own
+    const matchers = [
+        ...getDenyList(guildId)
+            .sort((a, b) => b.term.length - a.term.length)
+            .map(({ term, type }) => ({ name: 'deny-list', type, regex: wholeWordPattern(term), check: null, minDigits: 0 })),
+        ...loadRules()
+    ];
+
+    const placeholders = new Map(); // "<type>:<value>" -> { placeholder, type, rule, occurrences }
+    const counters = {};
+
+    const getPlaceholder = (type, rule, value) => {
+        const key = `${type}:${value.toLowerCase().replace(/\s+/g, ' ')}`;
+        if (!placeholders.has(key)) {
+            counters[type] = (counters[type] || 0) + 1;
+            placeholders.set(key, { placeholder: `[${type}_${counters[type]}]`, type, rule, occurrences: 0 });
+        }
+        return placeholders.get(key);
+    };
+
+    const redact = (text, { count = true } = {}) => {
+        if (!text) return text;
+
+        return matchers.reduce((redacted, { name, type, regex, check, minDigits }) => redacted.replace(regex, match => {
+            const digits = match.replace(/\D/g, '');
+            if (digits.length < minDigits || (check === 'luhn' && !passesLuhn(digits))) {
+                return match;
+            }
+
+            const entry = getPlaceholder(type, name, match);
+            if (count) entry.occurrences++;
+            return entry.placeholder;
+        }), text);
+    };
+
+    const getReport = () => {
+        const items = Array.from(placeholders.values()).filter(({ occurrences }) => occurrences > 0);
+        const byType = {};
+        items.forEach(({ type, occurrences }) => {
+            byType[type] = (byType[type] || 0) + occurrences;
+        });
+
+        return {
+            redactedAt: new Date().toISOString(),
+            total: items.reduce((sum, { occurrences }) => sum + occurrences, 0),
+            byType,
+            placeholders: items
+        };
+    };
+
+    return { redact, getReport };
+}
+
+module.exports = {
+    REDACTION_ENABLED,
+    REDACTION_KEEP_RAW,
+    getDenyList,
+    addDenyTerm,
+    removeDenyTerm,
+    createRedactor
+};
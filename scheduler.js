@@ -8,6 +8,8 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const { cleanupTemporarySummaryFiles } = require('./processor.js');
+const { getProtectedPcmPrefixes } = require('./sessions.js');
+const { pruneArchive } = require('./archive.js');
 
 // Configuration
 const START_HOUR = 6;  // 6 AM
@@ -39,6 +41,7 @@ function isWithinOperatingHours() {
 
 /**
  * Clean up PCM files
+ * Files that still belong to an unfinished meeting (see sessions.js) are kept
  */
 function cleanupPCMFiles() {
     console.log('🧹 Cleaning up PCM files...');
@@ -50,10 +53,17 @@ function cleanupPCMFiles() {
 
     try {
         const files = fs.readdirSync(PCM_FOLDER);
+        const protectedPrefixes = getProtectedPcmPrefixes();
         let deletedCount = 0;
+        let keptCount = 0;
 
         files.forEach(file => {
             const filePath = path.join(PCM_FOLDER, file);
+            if (protectedPrefixes.some(prefix => file.startsWith(prefix))) {
+                keptCount++;
+                return;
+            }
+
             try {
                 if (fs.statSync(filePath).isFile()) {
                     fs.unlinkSync(filePath);
@@ -65,6 +75,9 @@ function cleanupPCMFiles() {
         });
 
         console.log(`✅ Deleted ${deletedCount} PCM file(s)`);
+        if (keptCount > 0) {
+            console.log(`ℹ️ Kept ${keptCount} PCM file(s) from unfinished meetings`);
+        }
     } catch (error) {
         console.error('❌ Error during PCM cleanup:', error.message);
     }
@@ -72,14 +85,16 @@ function cleanupPCMFiles() {
 
 /**
  * Run uploader script
+ * @param {string} [fileName] - Only upload this file from the Summary folder
  */
-async function runUploader() {
+async function runUploader(fileName = null) {
     return new Promise((resolve, reject) => {
         console.log('📤 Running uploader.js...');
 
-        const uploader = spawn('node', ['uploader.js'], {
+        const uploader = spawn('node', fileName ? ['uploader.js', fileName] : ['uploader.js'], {
             cwd: process.cwd(),
-            stdio: 'inherit'
+            // No input: an expired Drive token makes the uploader fail instead of waiting for an authorization code
+            stdio: ['ignore', 'inherit', 'inherit']
         });
 
         uploader.on('error', (error) => {
@@ -115,6 +130,9 @@ async function executeEndOfDayCleanup() {
         // Step 3: Clean up temporary summary files
         cleanupTemporarySummaryFiles();
 
+        // Step 4: Drop archived audio past its retention period
+        pruneArchive();
+
         console.log('✅ End of day cleanup completed!');
     } catch (error) {
         console.error('❌ Error during end of day cleanup:', error);
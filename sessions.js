@@ -0,0 +1,297 @@
+/**
+ * Session Manager
+ * Tracks active recording sessions keyed by guild and voice channel,
+ * so several meetings can be recorded at the same time.
+ *
+ * Note: Discord only allows a bot one voice connection per guild, so
+ * concurrent sessions are possible across guilds but not across two
+ * channels of the same guild.
+ *
+ * Each session is mirrored to a JSON manifest in DATA_DIR/Sessions while it is
+ * recording and being transcribed, so a meeting interrupted by a crash or
+ * restart can be resumed or finalized on the next startup. Once the meeting is
+ * transcribed, it is kept as a meeting record instead (see meetings.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createAttendance } = require('./attendance.js');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const SESSIONS_FOLDER = path.join(DATA_DIR, 'Sessions');
+
+// Ensure folders exist
+if (!fs.existsSync(SESSIONS_FOLDER)) fs.mkdirSync(SESSIONS_FOLDER, { recursive: true });
+
+// Active sessions keyed by "guildId:channelId"
+const sessions = new Map();
+
+/**
+ * Build the map key for a guild/channel pair
+ * @param {string} guildId - Discord guild ID
+ * @param {string} channelId - Discord voice channel ID
+ * @returns {string} Session key
+ */
+function getSessionKey(guildId, channelId) {
+    return `${guildId}:${channelId}`;
+}
+
+/**
+ * Build a session object without registering it
+ * @param {Object} options
+ * @param {string} options.guildId - Discord guild ID
+ * @param {string} options.channelId - Discord voice channel ID
+ * @param {string} options.channelName - Voice channel name (used in file names)
+ * @param {import('@discordjs/voice').VoiceConnection} [options.connection] - Active voice connection
+ * @param {Object} [options.manifest] - Manifest of an interrupted meeting to continue
+ * @returns {Object} The session
+ */
+function buildSession({ guildId, channelId, channelName, connection = null, manifest = null }) {
+    const startedAt = manifest ? manifest.startedAt : Date.now();
+
+    return {
+        key: getSessionKey(guildId, channelId),
+        guildId,
+        channelId,
+        // Keep the original name when resuming so file names stay consistent
+        channelName: manifest ? manifest.channelName : channelName,
+        connection,
+        receiver: null,
+        speakingStartListener: null,
+        isRecording: true,
+        isStopping: false,
+        isReconnecting: false,
+        startedAt,
+        endedAt: manifest ? manifest.endedAt || null : null,
+        timestamp: manifest ? manifest.timestamp : new Date(startedAt).toISOString().replace(/[:.]/g, '-'),
+        segmentCounter: manifest ? manifest.segmentCounter : 0,
+        activeStreams: new Map(),
+        segmentProcessingTimer: null,
+        segmentEndsAt: null,
+        segmentRemainingMs: null,
+        // Background transcription of finished segments, one at a time
+        transcriptionQueue: Promise.resolve(),
+        attendees: new Set(manifest ? manifest.attendees : []),
+        attendance: manifest && manifest.attendance ? manifest.attendance : createAttendance(),
+        // Burst index: one entry per speech burst ({file, userId, displayName, segment, startTime, bytes})
+        bursts: manifest ? (manifest.bursts || []).map(burst => ({ ...burst })) : [],
+        isPaused: false,
+        // Off-the-record periods ({start, end, interrupted}); one left open by a crash ends at the
+        // last manifest write. Interrupted ones are downtime between a crash and a resume.
+        pauses: manifest ? (manifest.pauses || []).map(pause => ({
+            ...pause,
+            end: pause.end || Date.parse(manifest.updatedAt)
+        })) : [],
+        marks: manifest ? [...(manifest.marks || [])] : [],
+        // Language settings captured when the meeting started
+        transcriptionLanguage: manifest ? manifest.transcriptionLanguage || 'auto' : 'auto',
+        summaryLanguage: manifest ? manifest.summaryLanguage || null : null,
+        // Summary template chosen when the meeting started (see templates.js)
+        template: manifest ? manifest.template || null : null
+    };
+}
+
+/**
+ * Create and register a new recording session
+ * @param {Object} options - See buildSession
+ * @returns {Object} The new session
+ */
+function createSession(options) {
+    const session = buildSession(options);
+
+    // Nothing was recorded between the last manifest write and the restart,
+    // so a resumed meeting leaves that gap out of its meeting time
+    if (options.manifest) {
+        const lastSavedAt = Date.parse(options.manifest.updatedAt);
+        if (lastSavedAt < Date.now()) {
+            session.pauses.push({ start: lastSavedAt, end: Date.now(), interrupted: true });
+        }
+    }
+    sessions.set(session.key, session);
+    return session;
+}
+
+/**
+ * Rebuild an unregistered, stopped session from a manifest so it can be finalized
+ * @param {Object} manifest - Manifest of an interrupted meeting
+ * @returns {Object} The session
+ */
+function sessionFromManifest(manifest) {
+    const session = buildSession({
+        guildId: manifest.guildId,
+        channelId: manifest.channelId,
+        manifest
+    });
+    session.isRecording = false;
+    return session;
+}
+
+/**
+ * Get the session recording a specific voice channel
+ * @param {string} guildId - Discord guild ID
+ * @param {string} channelId - Discord voice channel ID
+ * @returns {Object|undefined} The session, if any
+ */
+function getSession(guildId, channelId) {
+    return sessions.get(getSessionKey(guildId, channelId));
+}
+
+/**
+ * Get the session currently recording in a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|undefined} The session, if any
+ */
+function getGuildSession(guildId) {
+    for (const session of sessions.values()) {
+        if (session.guildId === guildId) {
+            return session;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Get all active sessions
+ * @returns {Object[]} Active sessions
+ */
+function getAllSessions() {
+    return Array.from(sessions.values());
+}
+
+/**
+ * Unregister a session so its channel can be recorded again
+ * @param {Object} session - Session to remove
+ */
+function removeSession(session) {
+    if (sessions.get(session.key) === session) {
+        sessions.delete(session.key);
+    }
+}
+
+/**
+ * Stable ID of a meeting, also the base name of its manifest
+ * @param {Object} session - Session or manifest
+ * @returns {string} Meeting ID
+ */
+function getMeetingId(session) {
+    return `${session.guildId}_${session.channelId}_${session.timestamp}`;
+}
+
+/**
+ * Path of the manifest file for a session
+ * @param {Object} session - Session or manifest
+ * @returns {string} Manifest path
+ */
+function getManifestPath(session) {
+    return path.join(SESSIONS_FOLDER, `${getMeetingId(session)}.json`);
+}
+
+/**
+ * Load the manifest of an unfinished meeting
+ * @param {string} meetingId - Meeting ID (see getMeetingId)
+ * @returns {Object|null} The manifest, or null if the meeting was already finalized
+ */
+function loadManifest(meetingId) {
+    const manifestPath = path.join(SESSIONS_FOLDER, `${meetingId}.json`);
+    if (!fs.existsSync(manifestPath)) return null;
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Write the session's current state to its manifest.
+ * Written to a temporary file first so a crash never leaves a half-written manifest.
+ * @param {Object} session - Session to persist
+ */
+function saveManifest(session) {
+    const manifest = {
+        guildId: session.guildId,
+        channelId: session.channelId,
+        channelName: session.channelName,
+        timestamp: session.timestamp,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        status: session.isRecording ? 'recording' : 'finalizing',
+        segmentCounter: session.segmentCounter,
+        attendees: Array.from(session.attendees),
+        attendance: session.attendance,
+        bursts: session.bursts,
+        pauses: session.pauses,
+        marks: session.marks,
+        transcriptionLanguage: session.transcriptionLanguage,
+        summaryLanguage: session.summaryLanguage,
+        template: session.template,
+        updatedAt: new Date().toISOString()
+    };
+
+    const manifestPath = getManifestPath(session);
+    const tempPath = `${manifestPath}.tmp`;
+
+    try {
+        fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+        fs.renameSync(tempPath, manifestPath);
+    } catch (error) {
+        console.error(`❌ Failed to save session manifest for ${session.channelName}:`, error.message);
+    }
+}
+
+/**
+ * Remove a session's manifest once the meeting is transcribed
+ * @param {Object} session - Finalized session
+ */
+function deleteManifest(session) {
+    try {
+        const manifestPath = getManifestPath(session);
+        if (fs.existsSync(manifestPath)) {
+            fs.unlinkSync(manifestPath);
+        }
+    } catch (error) {
+        console.error(`❌ Failed to delete session manifest for ${session.channelName}:`, error.message);
+    }
+}
+
+/**
+ * Load the manifests of meetings that were never finalized
+ * @returns {Object[]} Unfinished manifests, oldest first
+ */
+function loadUnfinishedManifests() {
+    if (!fs.existsSync(SESSIONS_FOLDER)) return [];
+
+    const manifests = [];
+    for (const file of fs.readdirSync(SESSIONS_FOLDER)) {
+        if (!file.endsWith('.json')) continue;
+
+        try {
+            manifests.push(JSON.parse(fs.readFileSync(path.join(SESSIONS_FOLDER, file), 'utf8')));
+        } catch (error) {
+            console.error(`⚠️ Skipping unreadable session manifest ${file}:`, error.message);
+        }
+    }
+
+    return manifests.sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * File name prefixes of unfinished meetings, whose files in PCM_Files (bursts,
+ * mixed segments, segment transcripts, final audio) must not be cleaned up
+ * @returns {string[]} File name prefixes
+ */
+function getProtectedPcmPrefixes() {
+    return loadUnfinishedManifests().map(manifest => `${manifest.channelName}_${manifest.timestamp}_`);
+}
+
+module.exports = {
+    getSessionKey,
+    createSession,
+    sessionFromManifest,
+    getSession,
+    getGuildSession,
+    getAllSessions,
+    removeSession,
+    getMeetingId,
+    loadManifest,
+    saveManifest,
+    deleteManifest,
+    loadUnfinishedManifests,
+    getProtectedPcmPrefixes
+};
@@ -0,0 +1,99 @@
+/**
+ * Guild Settings
+ * Per-guild settings, optionally overridden per voice channel
+ * (e.g. the transcription language of one team's channel).
+ * Settings persist in DATA_DIR/guild_settings.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const SETTINGS_PATH = path.join(DATA_DIR, 'guild_settings.json');
+
+let settings = null;
+
+/**
+ * Load settings from disk (cached after the first read)
+ * @returns {{guilds: Object<string, {settings: Object, channels: Object<string, Object>}>}} Settings
+ */
+function loadSettings() {
+    if (settings) return settings;
+
+    settings = { guilds: {} };
+    if (fs.existsSync(SETTINGS_PATH)) {
+        try {
+            settings = JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf8'));
+            settings.guilds = settings.guilds || {};
+        } catch (error) {
+            console.error('⚠️ Error reading guild settings, starting fresh:', error.message);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Persist settings to disk
+ */
+function saveSettings() {
+    fs.writeFileSync(SETTINGS_PATH, JSON.stringify(loadSettings(), null, 2));
+}
+
+/**
+ * Get (or add) a guild's entry
+ */
+function getGuild(guildId) {
+    const { guilds } = loadSettings();
+    if (!guilds[guildId]) {
+        guilds[guildId] = { settings: {}, channels: {} };
+    }
+    return guilds[guildId];
+}
+
+/**
+ * Look a setting up for a voice channel, falling back to the guild-wide value
+ * @param {string} guildId - Discord guild ID
+ * @param {string|null} channelId - Voice channel ID, or null for the guild-wide value only
+ * @param {string} key - Setting name
+ * @returns {*} The value, or null if it isn't set
+ */
+function getSetting(guildId, channelId, key) {
+    const guild = loadSettings().guilds[guildId];
+    if (!guild) return null;
+
+    const channelSettings = channelId ? guild.channels[channelId] : null;
+    if (channelSettings && channelSettings[key] !== undefined) {
+        return channelSettings[key];
+    }
+    return guild.settings[key] !== undefined ? guild.settings[key] : null;
+}
+
+/**
+ * Change a setting for a whole guild or one of its voice channels
+ * @param {string} guildId - Discord guild ID
+ * @param {string|null} channelId - Voice channel ID, or null for the whole guild
+ * @param {string} key - Setting name
+ * @param {*} value - New value; null removes the setting
+ */
+function setSetting(guildId, channelId, key, value) {
+    const guild = getGuild(guildId);
+
+    let target = guild.settings;
+    if (channelId) {
+        guild.channels[channelId] = guild.channels[channelId] || {};
+        target = guild.channels[channelId];
+    }
+
+    if (value === null) {
+        delete target[key];
+    } else {
+        target[key] = value;
+    }
+    saveSettings();
+}
+
+module.exports = {
+    getSetting,
+    setSetting
+};
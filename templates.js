@@ -0,0 +1,151 @@
+/**
+ * Summary Templates
+ * Named instructions for summarizing different kinds of meetings (standup, retro, planning, ...).
+ * Each template is a JSON file in DATA_DIR/Templates/<name>.json:
+ *   {
+ *     "description": "Daily standup",
+ *     "format": "narrative",          // optional: "narrative" or "minutes" (default: SUMMARY_FORMAT)
+ *     "prompt": "Summarize ...",      // what the summary should capture
+ *     "sections": ["Updates", ...],   // optional headings, in order
+ *     "length": "Keep it short ..."   // how long the summary should be, as an instruction
+ *   }
+ * The built-in templates are written to the folder the first time it is created, so they can be edited.
+ * A channel is bound to a template with /template set; /join can pick one for a single meeting.
+ *
+ * Configuration (.env):
+ *   SUMMARY_TEMPLATE=default          # Template for channels without one
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSetting } = require('./settings.js');
+
+// Use persistent storage if available, otherwise use local directories
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : process.cwd());
+const TEMPLATES_FOLDER = path.join(DATA_DIR, 'Templates');
+
+const DEFAULT_TEMPLATE = process.env.SUMMARY_TEMPLATE || 'default';
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const BUILT_IN_TEMPLATES = {
+    'default': {
+        description: 'Narrative summary of any meeting',
+        prompt: 'Provide a comprehensive meeting summary as a flowing narrative paragraph (no bullets or lists). Capture major topics, decisions (with rationale if present), action items, blockers, timelines, and follow-ups. Attribute decisions and action items to the people responsible for them.',
+        sections: [],
+        length: 'Aim for substance over brevity; write at least 8–12 sentences when the transcript has enough content.'
+    },
+    'standup': {
+        description: 'Daily standup: updates and blockers per person',
+        prompt: 'Summarize this daily standup person by person: what each attendee has done since the last standup, what they will do next, and anything blocking them. Note blockers that need someone else\'s help and who offered it.',
+        sections: ['Updates', 'Blockers', 'Follow-ups'],
+        length: 'Keep it short: one or two sentences per person.'
+    },
+    'retro': {
+        description: 'Sprint retrospective: what went well, what didn\'t, agreed actions',
+        prompt: 'Summarize this sprint retrospective. Capture what went well, what didn\'t go well, the improvement ideas raised, and the actions the team agreed on with the person who owns each one.',
+        sections: ['Went well', 'Didn\'t go well', 'Ideas', 'Agreed actions'],
+        length: 'Use short bullet points of at most 25 words each.'
+    },
+    'planning': {
+        description: 'Planning: goal, committed work, deferred items, risks',
+        prompt: 'Summarize this planning meeting. Capture the goal agreed for the period, the work committed to with owners and estimates, items deferred or out of scope, dependencies, and risks to the plan.',
+        sections: ['Goal', 'Committed work', 'Deferred', 'Risks and dependencies'],
+        length: 'Be complete but concise, about 200–400 words.'
+    },
+    'one-on-one': {
+        description: '1:1: topics, feedback and follow-ups',
+        prompt: 'Summarize this one-on-one meeting in a neutral, respectful tone. Capture the topics discussed, feedback given in either direction, growth and career points, concerns raised, and the follow-ups agreed with their owners.',
+        sections: ['Topics', 'Feedback', 'Follow-ups'],
+        length: 'About 120–200 words.'
+    }
+};
+
+// Write the built-in templates the first time, so they can be edited
+if (!fs.existsSync(TEMPLATES_FOLDER)) {
+    fs.mkdirSync(TEMPLATES_FOLDER, { recursive: true });
+    Object.entries(BUILT_IN_TEMPLATES).forEach(([name, template]) => {
+        fs.writeFileSync(path.join(TEMPLATES_FOLDER, `${name}.json`), JSON.stringify(template, null, 2));
+    });
+}
+
+/**
+ * Check a template's fields and fill in the optional ones
+ * @param {Object} template - Parsed template file
+ * @returns {Object} The template
+ */
+function normalizeTemplate(template) {
+    if (!template || typeof template.prompt !== 'string' || template.prompt.trim().length === 0) {
+        throw new Error('"prompt" must be a non-empty string');
+    }
+    if (template.format && !['narrative', 'minutes'].includes(template.format)) {
+        throw new Error('"format" must be "narrative" or "minutes"');
+    }
+    if (template.sections && !(Array.isArray(template.sections) && template.sections.every(section => typeof section === 'string'))) {
+        throw new Error('"sections" must be a list of headings');
+    }
+
+    return {
+        description: template.description || '',
+        format: template.format || null,
+        prompt: template.prompt.trim(),
+        sections: template.sections || [],
+        length: template.length || ''
+    };
+}
+
+/**
+ * Load a template by name
+ * @param {string} name - Template name
+ * @returns {{name: string, description: string, format: string|null, prompt: string, sections: string[], length: string}|null}
+ *          The template, or null if there is no valid template with that name
+ */
+function getTemplate(name) {
+    if (!TEMPLATE_NAME_PATTERN.test(name)) return null;
+
+    const templatePath = path.join(TEMPLATES_FOLDER, `${name}.json`);
+    if (!fs.existsSync(templatePath)) {
+        // The built-in templates keep working if their file was deleted
+        return BUILT_IN_TEMPLATES[name] ? { name, ...normalizeTemplate(BUILT_IN_TEMPLATES[name]) } : null;
+    }
+
+    try {
+        return { name, ...normalizeTemplate(JSON.parse(fs.readFileSync(templatePath, 'utf8'))) };
+    } catch (error) {
+        console.error(`⚠️ Invalid summary template ${name}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * List the available templates
+ * @returns {Array<{name: string, description: string}>} Templates in alphabetical order
+ */
+function listTemplates() {
+    const names = new Set(Object.keys(BUILT_IN_TEMPLATES));
+    fs.readdirSync(TEMPLATES_FOLDER)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => names.add(file.slice(0, -'.json'.length)));
+
+    return Array.from(names)
+        .sort()
+        .map(getTemplate)
+        .filter(Boolean)
+        .map(({ name, description }) => ({ name, description }));
+}
+
+/**
+ * Name of the template a voice channel's meetings use: the channel's, else the guild's, else SUMMARY_TEMPLATE
+ * @param {string} guildId - Discord guild ID
+ * @param {string|null} channelId - Voice channel ID
+ * @returns {string} Template name
+ */
+function getChannelTemplateName(guildId, channelId) {
+    return getSetting(guildId, channelId, 'summaryTemplate') || DEFAULT_TEMPLATE;
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    getTemplate,
+    listTemplates,
+    getChannelTemplateName
+};
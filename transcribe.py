@@ -7,6 +7,7 @@ Supports both WAV and MP3 files
 
 import sys
 import os
+import json
 import argparse
 import whisper
 import tempfile
@@ -75,20 +76,31 @@ def convert_mp3_to_wav(mp3_path, wav_path):
         print(f"Error during MP3 to WAV conversion: {str(e)}", file=sys.stderr)
         return False
 
-def transcribe_audio(audio_file_path, model_size="base"):
+def transcribe_audio(audio_file_path, model_size="base", detailed=False, model=None, language=None, prompt=None):
     """
     Transcribe an audio file using Whisper model
     
     Args:
         audio_file_path (str): Path to the audio file to transcribe
         model_size (str): Whisper model size (tiny, base, small, medium, large)
+        detailed (bool): Return the detected language and timed segments as well
+        model: An already loaded Whisper model (loaded from model_size if omitted)
+        language (str): Language code of the speech (detected if omitted)
+        prompt (str): Initial prompt with vocabulary the model should expect (e.g. a glossary)
         
     Returns:
-        str: Transcribed text
+        str: Transcribed text, or a dict with text, language and segments
+             (times in milliseconds) when detailed is True
+    
+    Raises:
+        Exception: When detailed is True and the file can't be transcribed (missing file,
+                   decode error, ...), so the caller can report it instead of an empty transcript
     """
     
     # Check if audio file exists
     if not os.path.exists(audio_file_path):
+        if detailed:
+            raise FileNotFoundError(f"Audio file '{audio_file_path}' does not exist")
         print(f"Error: Audio file '{audio_file_path}' does not exist", file=sys.stderr)
         return ""
     
@@ -100,18 +112,21 @@ def transcribe_audio(audio_file_path, model_size="base"):
         # Create temporary WAV file
         temp_wav_path = tempfile.mktemp(suffix='.wav')
         if not convert_mp3_to_wav(audio_file_path, temp_wav_path):
+            if detailed:
+                raise RuntimeError(f"Could not convert '{audio_file_path}' to WAV")
             return ""
         wav_path = temp_wav_path
     
     try:
         # Load the Whisper model
-        print(f"Loading Whisper model '{model_size}'...", file=sys.stderr)
-        model = whisper.load_model(model_size)
+        if model is None:
+            print(f"Loading Whisper model '{model_size}'...", file=sys.stderr)
+            model = whisper.load_model(model_size)
         
         print(f"Transcribing audio file: {audio_file_path}", file=sys.stderr)
         
         # Transcribe the audio
-        result = model.transcribe(wav_path)
+        result = model.transcribe(wav_path, language=language, initial_prompt=prompt)
         
         # Clean up temporary file
         if temp_wav_path and os.path.exists(temp_wav_path):
@@ -120,6 +135,20 @@ def transcribe_audio(audio_file_path, model_size="base"):
         # Extract the transcribed text
         transcript = result["text"].strip()
         
+        if detailed:
+            return {
+                "text": transcript,
+                "language": result.get("language"),
+                "segments": [
+                    {
+                        "start": int(segment["start"] * 1000),
+                        "end": int(segment["end"] * 1000),
+                        "text": segment["text"].strip()
+                    }
+                    for segment in result.get("segments", [])
+                ]
+            }
+        
         if transcript:
             print(f"Transcription completed successfully", file=sys.stderr)
             return transcript
@@ -135,6 +164,8 @@ def transcribe_audio(audio_file_path, model_size="base"):
                 os.unlink(temp_wav_path)
             except:
                 pass
+        if detailed:
+            raise
         return ""
 
 def transcribe_multiple_files(file_pattern=None, model_size="base"):
@@ -177,6 +208,48 @@ def transcribe_multiple_files(file_pattern=None, model_size="base"):
         else:
             print(f"No transcript generated for {audio_file}", file=sys.stderr)
 
+def serve(model_size="base"):
+    """
+    Run as a long-lived worker that loads the model once.
+    Reads one JSON request per line from stdin: {"id": ..., "audio_file": "...", "language": "es" or null, "prompt": "..." or null}
+    Writes one JSON line per request to stdout: {"id": ..., "result": {...}} or {"id": ..., "error": "..."}
+    A {"ready": true} line is written once the model is loaded.
+    
+    Args:
+        model_size (str): Whisper model size
+    """
+    # Keep anything else printed (by us or by libraries) off the response channel
+    responses = sys.stdout
+    sys.stdout = sys.stderr
+    
+    def respond(message):
+        responses.write(json.dumps(message) + "\n")
+        responses.flush()
+    
+    print(f"Loading Whisper model '{model_size}'...", file=sys.stderr)
+    model = whisper.load_model(model_size)
+    respond({"ready": True})
+    
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        
+        try:
+            request = json.loads(line)
+        except ValueError as e:
+            print(f"Ignoring malformed request: {str(e)}", file=sys.stderr)
+            continue
+        
+        try:
+            result = transcribe_audio(request["audio_file"], model_size, detailed=True, model=model,
+                                      language=request.get("language"), prompt=request.get("prompt"))
+            if not isinstance(result, dict):
+                result = {"text": result, "language": None, "segments": []}
+            respond({"id": request.get("id"), "result": result})
+        except Exception as e:
+            respond({"id": request.get("id"), "error": str(e)})
+
 def main():
     """Main function to handle command line arguments"""
     parser = argparse.ArgumentParser(description='Transcribe audio using Whisper')
@@ -185,16 +258,34 @@ def main():
     parser.add_argument('--pattern', help='File pattern for batch processing (e.g., "*.mp3")')
     parser.add_argument('--model', default='base', choices=['tiny', 'base', 'small', 'medium', 'large'], 
                        help='Whisper model size (default: base)')
+    parser.add_argument('--json', action='store_true',
+                       help='Print text, detected language and timed segments as JSON')
+    parser.add_argument('--language', default=None,
+                       help='Language code of the speech, e.g. "es" (default: detect)')
+    parser.add_argument('--serve', action='store_true',
+                       help='Run as a worker reading JSON line requests from stdin')
     
     args = parser.parse_args()
     
-    if args.batch:
+    if args.serve:
+        # Long-lived worker
+        serve(args.model)
+    elif args.batch:
         # Batch process files
         transcribe_multiple_files(args.pattern, args.model)
     elif args.audio_file:
         # Transcribe single file
-        transcript = transcribe_audio(args.audio_file, args.model)
-        print(transcript)
+        try:
+            transcript = transcribe_audio(args.audio_file, args.model, detailed=args.json, language=args.language)
+        except Exception as e:
+            print(f"Error: {str(e)}", file=sys.stderr)
+            sys.exit(1)
+        if args.json:
+            if not isinstance(transcript, dict):
+                transcript = {"text": transcript, "language": None, "segments": []}
+            print(json.dumps(transcript))
+        else:
+            print(transcript)
     else:
         # Default: transcribe all MP3 files
         transcribe_multiple_files(model_size=args.model)
@@ -0,0 +1,147 @@
+#!/usr/bin/env python3
+"""
+Audio Transcription Script using Vosk
+Transcribes a 16kHz mono WAV file with a local Vosk model and prints the
+result as JSON (text, language, segments), like `transcribe.py --json`.
+With --serve it runs as a long-lived worker that loads the model once,
+speaking the same JSON lines protocol as `transcribe.py --serve`.
+"""
+
+import sys
+import os
+import json
+import wave
+import argparse
+from vosk import Model, KaldiRecognizer, SetLogLevel
+
+def load_model(model_path):
+    """
+    Load a Vosk model
+    
+    Args:
+        model_path (str): Path to the extracted Vosk model folder
+        
+    Returns:
+        Model: The loaded model
+    """
+    if not os.path.isdir(model_path):
+        raise FileNotFoundError(f"Vosk model '{model_path}' does not exist")
+    
+    SetLogLevel(-1)
+    return Model(model_path)
+
+def transcribe_audio(audio_file_path, model_path, model=None):
+    """
+    Transcribe a WAV file using a Vosk model
+    
+    Args:
+        audio_file_path (str): Path to a 16-bit mono WAV file
+        model_path (str): Path to the extracted Vosk model folder
+        model: Already loaded model (loaded from model_path if omitted)
+        
+    Returns:
+        dict: Transcribed text, language (always None, Vosk models are single-language)
+              and segments with times in milliseconds
+    """
+    if not os.path.exists(audio_file_path):
+        raise FileNotFoundError(f"Audio file '{audio_file_path}' does not exist")
+    if model is None:
+        model = load_model(model_path)
+    
+    segments = []
+    
+    def collect(result_json):
+        result = json.loads(result_json)
+        words = result.get("result", [])
+        text = result.get("text", "").strip()
+        if text and words:
+            segments.append({
+                "start": int(words[0]["start"] * 1000),
+                "end": int(words[-1]["end"] * 1000),
+                "text": text
+            })
+    
+    with wave.open(audio_file_path, "rb") as wav_file:
+        recognizer = KaldiRecognizer(model, wav_file.getframerate())
+        recognizer.SetWords(True)
+        
+        while True:
+            data = wav_file.readframes(4000)
+            if len(data) == 0:
+                break
+            if recognizer.AcceptWaveform(data):
+                collect(recognizer.Result())
+        
+        collect(recognizer.FinalResult())
+    
+    return {
+        "text": " ".join(segment["text"] for segment in segments),
+        "language": None,
+        "segments": segments
+    }
+
+def serve(model_path):
+    """
+    Run as a long-lived worker that loads the model once.
+    Reads one JSON request per line from stdin: {"id": ..., "audio_file": "...", "language": "en" or null}
+    Writes one JSON line per request to stdout: {"id": ..., "result": {...}} or {"id": ..., "error": "..."}
+    A {"ready": true} line is written once the model is loaded. Vosk models are single-language,
+    so the requested language is reported back as the result's language.
+    
+    Args:
+        model_path (str): Path to the extracted Vosk model folder
+    """
+    # Keep anything else printed (by us or by libraries) off the response channel
+    responses = sys.stdout
+    sys.stdout = sys.stderr
+    
+    def respond(message):
+        responses.write(json.dumps(message) + "\n")
+        responses.flush()
+    
+    print(f"Loading Vosk model '{model_path}'...", file=sys.stderr)
+    model = load_model(model_path)
+    respond({"ready": True})
+    
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        
+        try:
+            request = json.loads(line)
+        except ValueError as e:
+            print(f"Ignoring malformed request: {str(e)}", file=sys.stderr)
+            continue
+        
+        try:
+            result = transcribe_audio(request["audio_file"], model_path, model=model)
+            result["language"] = request.get("language")
+            respond({"id": request.get("id"), "result": result})
+        except Exception as e:
+            respond({"id": request.get("id"), "error": str(e)})
+
+def main():
+    """Main function to handle command line arguments"""
+    parser = argparse.ArgumentParser(description='Transcribe audio using Vosk')
+    parser.add_argument('audio_file', nargs='?', help='Path to WAV file to transcribe')
+    parser.add_argument('--model', default='vosk-model-en-us-0.22', help='Path to the Vosk model folder')
+    parser.add_argument('--serve', action='store_true',
+                       help='Run as a worker reading JSON line requests from stdin')
+    
+    args = parser.parse_args()
+    
+    if args.serve:
+        serve(args.model)
+        return
+    if not args.audio_file:
+        parser.error('the audio_file argument is required unless --serve is given')
+    
+    try:
+        print(json.dumps(transcribe_audio(args.audio_file, args.model)))
+    except Exception as e:
+        print(f"Error during transcription: {str(e)}", file=sys.stderr)
+        sys.exit(1)
+
+if __name__ == "__main__":
+    main()
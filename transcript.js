@@ -0,0 +1,304 @@
+/**
+ * Transcript Builder
+ * Turns per-speaker transcriptions into a dialogue-style meeting transcript,
+ * e.g. "[00:03:12] Alice: Let's ship it on Friday.", and into timed transcripts
+ * (JSON, SRT and WebVTT) with times relative to the meeting start. Long transcripts
+ * can be split into chunks for summarizing them part by part.
+ */
+
+/**
+ * Format a millisecond offset as HH:MM:SS
+ * @param {number} ms - Offset from meeting start in milliseconds
+ * @returns {string} Formatted offset
+ */
+function formatOffset(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+}
+
+/**
+ * Whole minutes (at least one) covered by a pause
+ * @param {{start: number, end: number|null}} pause - Off-the-record period in epoch ms; a pause
+ *        still in progress (end null) counts until now
+ * @returns {number} Duration in minutes
+ */
+function getPauseMinutes({ start, end }) {
+    return Math.max(1, Math.round(((end ?? Date.now()) - start) / 60000));
+}
+
+/**
+ * Convert a wall-clock time into meeting time, leaving out off-the-record pauses
+ * @param {number} time - Epoch ms
+ * @param {number} meetingStart - Meeting start time in epoch ms
+ * @param {Array<{start: number, end: number|null}>} [pauses] - Off-the-record periods in epoch ms;
+ *        a pause still in progress (end null) runs at least until `time`
+ * @returns {number} Milliseconds of recorded meeting time before `time`
+ */
+function toMeetingOffset(time, meetingStart, pauses = []) {
+    const pausedBefore = pauses.reduce((total, { start, end }) => total + Math.max(0, Math.min(end ?? time, time) - start), 0);
+    return time - meetingStart - pausedBefore;
+}
+
+/**
+ * Describe off-the-record pauses on the meeting timeline
+ * @param {Array<{start: number, end: number|null}>} pauses - Off-the-record periods in epoch ms (end null while in progress)
+ * @param {number} meetingStart - Meeting start time in epoch ms
+ * @returns {Array<{offset: string, minutes: number, interrupted: boolean}>} Where each pause happened and how
+ *          long it lasted; interrupted ones are gaps where the bot was down rather than paused
+ */
+function describePauses(pauses, meetingStart) {
+    return pauses.map(pause => ({
+        offset: formatOffset(toMeetingOffset(pause.start, meetingStart, pauses)),
+        minutes: getPauseMinutes(pause),
+        interrupted: Boolean(pause.interrupted)
+    }));
+}
+
+/**
+ * Place bookmarks on the meeting timeline
+ * @param {Array<{time: number, note: string, author: string}>} marks - Bookmarks (time in epoch ms)
+ * @param {number} meetingStart - Meeting start time in epoch ms
+ * @param {Array<{start: number, end: number}>} [pauses] - Off-the-record periods in epoch ms
+ * @returns {Array<{offset: string, note: string, author: string}>} Bookmarks with their meeting time
+ */
+function describeMarks(marks, meetingStart, pauses = []) {
+    return marks.map(({ time, note, author }) => ({
+        offset: formatOffset(toMeetingOffset(time, meetingStart, pauses)),
+        note,
+        author
+    }));
+}
+
+/**
+ * Build a dialogue transcript from individually transcribed speech bursts.
+ * Consecutive bursts by the same speaker are joined into a single line, and
+ * off-the-record pauses and bookmarks are marked where they happened. Times are
+ * meeting time, so paused periods don't count.
+ * @param {Array<{speaker: string, startTime: number, text: string}>} utterances - Transcribed bursts (startTime in epoch ms)
+ * @param {number} meetingStart - Meeting start time in epoch ms
+ * @param {Object} [options]
+ * @param {Array<{start: number, end: number}>} [options.pauses] - Off-the-record periods in epoch ms
+ * @param {Array<{time: number, note: string, author: string}>} [options.marks] - Bookmarks (time in epoch ms)
+ * @returns {string} Transcript with one "[HH:MM:SS] Speaker: text" line per turn
+ */
+function buildDialogueTranscript(utterances, meetingStart, { pauses = [], marks = [] } = {}) {
+    const entries = [
+        ...utterances
+            .filter(({ text }) => text && text.trim().length > 0)
+            .map(({ speaker, startTime, text }) => ({ speaker, startTime, text: text.trim() })),
+        ...pauses.map(pause => ({
+            startTime: pause.start,
+            text: pause.interrupted
+                ? `— Recording interrupted, ${getPauseMinutes(pause)} min not recorded —`
+                : `— Recording paused, ${getPauseMinutes(pause)} min off the record —`
+        })),
+        ...marks.map(({ time, note, author }) => ({
+            startTime: time,
+            text: `— Bookmark by ${author}: ${note} —`
+        }))
+    ].sort((a, b) => a.startTime - b.startTime);
+
+    const lines = [];
+    entries.forEach(entry => {
+        const lastLine = lines[lines.length - 1];
+        if (entry.speaker && lastLine && lastLine.speaker === entry.speaker) {
+            lastLine.text += ` ${entry.text}`;
+        } else {
+            lines.push({ ...entry });
+        }
+    });
+
+    return lines
+        .map(({ speaker, startTime, text }) => {
+            const offset = formatOffset(toMeetingOffset(startTime, meetingStart, pauses));
+            return speaker ? `[${offset}] ${speaker}: ${text}` : `[${offset}] ${text}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Rough token count of a text (about four characters per token), good enough for budgeting prompts
+ * @param {string} text - Any text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Parse the [HH:MM:SS] offset at the start of a transcript line
+ * @param {string} line - Transcript line
+ * @returns {number|null} Offset in milliseconds, or null if the line has none
+ */
+function parseLineOffset(line) {
+    const match = line.match(/^\[(\d{2}):(\d{2}):(\d{2})\]/);
+    if (!match) return null;
+    return ((parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 60 + parseInt(match[3], 10)) * 1000;
+}
+
+/**
+ * Split a dialogue transcript into consecutive chunks at line boundaries, so each chunk
+ * stays within a token budget and, optionally, a time span
+ * @param {string} transcript - Transcript from buildDialogueTranscript
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token budget per chunk (a single longer line gets a chunk of its own)
+ * @param {number} [options.maxMinutes] - Longest stretch of meeting time per chunk; 0 for no limit
+ * @returns {Array<{start: string, end: string, text: string}>} Chunks with their time ranges (HH:MM:SS)
+ */
+function chunkTranscript(transcript, { maxTokens, maxMinutes = 0 }) {
+    const chunks = [];
+    let current = null;
+
+    transcript.split('\n').forEach(line => {
+        const offset = parseLineOffset(line);
+        const lineOffset = offset !== null ? offset : (current ? current.endOffset : 0);
+
+        const isOverBudget = current && current.tokens + estimateTokens(line) > maxTokens;
+        const isOverTime = current && maxMinutes > 0 && lineOffset - current.startOffset >= maxMinutes * 60000;
+        if (!current || isOverBudget || isOverTime) {
+            current = { startOffset: lineOffset, endOffset: lineOffset, lines: [], tokens: 0 };
+            chunks.push(current);
+        }
+
+        current.lines.push(line);
+        current.tokens += estimateTokens(line) + 1;
+        current.endOffset = lineOffset;
+    });
+
+    // A chunk runs until the next one starts, so the ranges cover the meeting without gaps
+    return chunks.map(({ startOffset, endOffset, lines }, index) => ({
+        start: formatOffset(startOffset),
+        end: formatOffset(index + 1 < chunks.length ? chunks[index + 1].startOffset : endOffset),
+        text: lines.join('\n')
+    }));
+}
+
+/**
+ * Lay transcribed bursts out as timed cues on the meeting timeline
+ * @param {Array<{speaker: string, startTime: number, endTime: number, text: string, language?: string|null, segments?: Array<{start: number, end: number, text: string}>}>} utterances
+ *        Transcribed bursts (startTime/endTime in epoch ms, segment times in ms from the burst start)
+ * @param {number} meetingStart - Meeting start time in epoch ms
+ * @param {Object} [options]
+ * @param {Array<{start: number, end: number}>} [options.pauses] - Off-the-record periods in epoch ms
+ * @returns {Array<{start: number, end: number, speaker: string, language: string|null, text: string}>} Cues in meeting time (ms), in order
+ */
+function buildTimedTranscript(utterances, meetingStart, { pauses = [] } = {}) {
+    const toOffset = time => Math.max(0, toMeetingOffset(time, meetingStart, pauses));
+
+    return utterances
+        .flatMap(({ speaker, startTime, endTime, text, language = null, segments = [] }) => {
+            // Backends without segment timings get one cue for the whole burst
+            const timed = segments.length > 0
+                ? segments
+                : [{ start: 0, end: endTime - startTime, text }];
+
+            return timed
+                .filter(segment => segment.text && segment.text.trim().length > 0)
+                .map(segment => ({
+                    start: toOffset(startTime + segment.start),
+                    end: toOffset(Math.min(startTime + segment.end, endTime)),
+                    speaker,
+                    language,
+                    text: segment.text.trim()
+                }));
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Format a millisecond offset as a caption timestamp
+ * @param {number} ms - Offset in milliseconds
+ * @param {string} separator - Separator before the milliseconds ("," for SRT, "." for WebVTT)
+ * @returns {string} HH:MM:SS,mmm or HH:MM:SS.mmm
+ */
+function formatCueTime(ms, separator) {
+    return `${formatOffset(ms)}${separator}${String(Math.max(0, Math.round(ms)) % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Render timed cues as SubRip (SRT) captions
+ * @param {Array<{start: number, end: number, speaker: string, text: string}>} cues - From buildTimedTranscript
+ * @returns {string} SRT text
+ */
+function formatSrt(cues) {
+    return cues
+        .map((cue, index) => `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.speaker}: ${cue.text}\n`)
+        .join('\n');
+}
+
+/**
+ * Render timed cues as WebVTT captions, with the speaker as a voice tag
+ * @param {Array<{start: number, end: number, speaker: string, text: string}>} cues - From buildTimedTranscript
+ * @returns {string} WebVTT text
+ */
+function formatVtt(cues) {
+    const body = cues
+        .map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n<v ${cue.speaker}>${cue.text}\n`)
+        .join('\n');
+    return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * English name of a language code, e.g. "es" -> "Spanish"
+ * @param {string} code - ISO 639 language code
+ * @returns {string} Language name, or the code itself if it isn't known
+ */
+function getLanguageName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * Work out which languages were spoken, from the language detected for each burst
+ * @param {Array<{text: string, language?: string|null}>} utterances - Transcribed bursts
+ * @returns {Array<{language: string, name: string, share: number}>} Languages by share of transcribed text, largest first
+ */
+function summarizeLanguages(utterances) {
+    const characters = {};
+    utterances
+        .filter(({ language, text }) => language && text)
+        .forEach(({ language, text }) => {
+            characters[language] = (characters[language] || 0) + text.length;
+        });
+
+    const total = Object.values(characters).reduce((sum, count) => sum + count, 0);
+    return Object.entries(characters)
+        .map(([language, count]) => ({
+            language,
+            name: getLanguageName(language),
+            share: Math.round(count / total * 100) / 100
+        }))
+        .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Describe spoken languages in one line, e.g. "Spanish (70%), English (30%)"
+ * @param {Array<{name: string, share: number}>} languages - From summarizeLanguages
+ * @returns {string} Description
+ */
+function formatLanguages(languages) {
+    if (languages.length === 1) return languages[0].name;
+    return languages.map(({ name, share }) => `${name} (${Math.round(share * 100)}%)`).join(', ');
+}
+
+module.exports = {
+    formatOffset,
+    toMeetingOffset,
+    describePauses,
+    describeMarks,
+    buildDialogueTranscript,
+    buildTimedTranscript,
+    estimateTokens,
+    chunkTranscript,
+    formatSrt,
+    formatVtt,
+    getLanguageName,
+    summarizeLanguages,
+    formatLanguages
+};
@@ -0,0 +1,404 @@
+/**
+ * Transcription Backends
+ * One interface for turning a 16kHz mono WAV file into text, with interchangeable backends:
+ *   whisper      - the bundled Python Whisper script (transcribe.py), default. Runs as one
+ *                  long-lived worker that loads the model once and takes requests as JSON lines
+ *   whisper-cpp  - a whisper.cpp binary
+ *   vosk         - a local Vosk model (transcribe_vosk.py), run as a long-lived worker like whisper
+ *   http         - any OpenAI-compatible /audio/transcriptions endpoint (e.g. a local faster-whisper server)
+ *
+ * Every backend resolves to the same result shape:
+ *   { text: string, language: string|null, segments: Array<{start: number, end: number, text: string}> }
+ * with segment times in milliseconds from the start of the file. A language code can be
+ * passed to skip language detection; "auto" (the default) detects it per file. A prompt
+ * (e.g. the team glossary) primes the model with spellings it should expect; the vosk
+ * backend ignores it.
+ *
+ * Configuration (.env):
+ *   TRANSCRIBE_BACKEND=whisper                    # whisper, whisper-cpp, vosk or http
+ *   WHISPER_MODEL=base                            # whisper: model size
+ *   TRANSCRIBE_TIMEOUT_MS=600000                  # whisper, vosk: time allowed per file before the worker is restarted
+ *   TRANSCRIBE_STARTUP_TIMEOUT_MS=600000          # whisper, vosk: time allowed to load the model before the worker is stopped
+ *   WHISPER_CPP_BIN=whisper-cli                   # whisper-cpp: binary
+ *   WHISPER_CPP_MODEL=./models/ggml-base.bin      # whisper-cpp: model file
+ *   VOSK_MODEL_PATH=./vosk-model-en-us-0.22       # vosk: model folder
+ *   TRANSCRIBE_HTTP_URL=http://localhost:8000/v1  # http: API base URL
+ *   TRANSCRIBE_HTTP_MODEL=whisper-1               # http: model name
+ *   TRANSCRIBE_HTTP_API_KEY=                      # http: bearer token, if the server needs one
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+const TRANSCRIBE_BACKEND = process.env.TRANSCRIBE_BACKEND || 'whisper';
+const WHISPER_MODEL = process.env.WHISPER_MODEL || 'base';
+const TRANSCRIBE_TIMEOUT_MS = parseInt(process.env.TRANSCRIBE_TIMEOUT_MS || '600000', 10);
+const TRANSCRIBE_STARTUP_TIMEOUT_MS = parseInt(process.env.TRANSCRIBE_STARTUP_TIMEOUT_MS || '600000', 10);
+const WHISPER_CPP_BIN = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+const WHISPER_CPP_MODEL = process.env.WHISPER_CPP_MODEL || './models/ggml-base.bin';
+const VOSK_MODEL_PATH = process.env.VOSK_MODEL_PATH || './vosk-model-en-us-0.22';
+const TRANSCRIBE_HTTP_URL = (process.env.TRANSCRIBE_HTTP_URL || 'http://localhost:8000/v1').replace(/\/+$/, '');
+const TRANSCRIBE_HTTP_MODEL = process.env.TRANSCRIBE_HTTP_MODEL || 'whisper-1';
+const TRANSCRIBE_HTTP_API_KEY = process.env.TRANSCRIBE_HTTP_API_KEY;
+
+// Language codes Whisper (and whisper.cpp) can be told to transcribe
+const WHISPER_LANGUAGES = new Set([
+    'af', 'am', 'ar', 'as', 'az', 'ba', 'be', 'bg', 'bn', 'bo', 'br', 'bs', 'ca', 'cs', 'cy', 'da', 'de', 'el',
+    'en', 'es', 'et', 'eu', 'fa', 'fi', 'fo', 'fr', 'gl', 'gu', 'ha', 'haw', 'he', 'hi', 'hr', 'ht', 'hu', 'hy',
+    'id', 'is', 'it', 'ja', 'jw', 'ka', 'kk', 'km', 'kn', 'ko', 'la', 'lb', 'ln', 'lo', 'lt', 'lv', 'mg', 'mi',
+    'mk', 'ml', 'mn', 'mr', 'ms', 'mt', 'my', 'ne', 'nl', 'nn', 'no', 'oc', 'pa', 'pl', 'ps', 'pt', 'ro', 'ru',
+    'sa', 'sd', 'si', 'sk', 'sl', 'sn', 'so', 'sq', 'sr', 'su', 'sv', 'sw', 'ta', 'te', 'tg', 'th', 'tk', 'tl',
+    'tr', 'tt', 'uk', 'ur', 'uz', 'vi', 'yi', 'yo', 'yue', 'zh'
+]);
+
+/**
+ * Run a command and collect its output
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @returns {Promise<string>} Standard output
+ */
+function runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args);
+        let output = '';
+        let error = '';
+
+        child.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+
+        child.stderr.on('data', (data) => {
+            error += data.toString();
+        });
+
+        child.on('error', (err) => {
+            reject(new Error(`Failed to start ${command}: ${err.message}`));
+        });
+
+        child.on('close', (code) => {
+            if (code === 0) {
+                resolve(output);
+            } else {
+                reject(new Error(`${command} exited with code ${code}: ${error.slice(-500)}`));
+            }
+        });
+    });
+}
+
+/**
+ * Bring a backend's output into the shared result shape
+ * @param {Object} result - Raw result
+ * @returns {{text: string, language: string|null, segments: Array<{start: number, end: number, text: string}>}}
+ */
+function normalizeResult({ text = '', language = null, segments = [] }) {
+    return {
+        text: text.trim(),
+        language: language || null,
+        segments: segments
+            .map(({ start, end, text: segmentText }) => ({
+                start: Math.round(start),
+                end: Math.round(end),
+                text: (segmentText || '').trim()
+            }))
+            .filter(segment => segment.text.length > 0)
+    };
+}
+
+// Attempts per file when the worker dies while working on it
+const MAX_WORKER_ATTEMPTS = 2;
+
+// Backends that run as a long-lived worker (--serve), which loads the model once and takes JSON line requests
+const WORKER_BACKENDS = {
+    'whisper': { name: 'Whisper', args: ['transcribe.py', '--serve', '--model', WHISPER_MODEL] },
+    'vosk': { name: 'Vosk', args: ['transcribe_vosk.py', '--serve', '--model', VOSK_MODEL_PATH] }
+};
+const WORKER_BACKEND = WORKER_BACKENDS[TRANSCRIBE_BACKEND] || WORKER_BACKENDS.whisper;
+
+// The configured backend's worker
+let worker = null;
+let isWorkerReady = false;
+let nextRequestId = 1;
+
+// Requests sent to the worker, in the order it works through them
+const pendingRequests = new Map();
+
+/**
+ * Start the worker, unless it is already running
+ */
+function startWorker() {
+    if (worker) return;
+
+    const { name, args } = WORKER_BACKEND;
+    console.log(`🐍 Starting ${name} worker (model: ${args[args.length - 1]})...`);
+    const child = spawn('python', args, {
+        stdio: ['pipe', 'pipe', 'inherit']
+    });
+    worker = child;
+    isWorkerReady = false;
+
+    // A model load that hangs (e.g. a stuck download) would otherwise hold every request forever
+    const startupTimer = setTimeout(() => {
+        if (worker !== child) return;
+        console.error(`⏱️ ${name} worker wasn't ready after ${TRANSCRIBE_STARTUP_TIMEOUT_MS / 1000}s, stopping it`);
+        worker = null;
+        child.kill();
+        rejectAllRequests(new Error(`${name} worker didn't load its model within ${TRANSCRIBE_STARTUP_TIMEOUT_MS / 1000}s`));
+    }, TRANSCRIBE_STARTUP_TIMEOUT_MS);
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            console.error(`⚠️ Ignoring unexpected ${name} worker output:`, line);
+            return;
+        }
+
+        if (message.ready) {
+            clearTimeout(startupTimer);
+            console.log(`✅ ${name} worker ready`);
+            isWorkerReady = true;
+            armRequestTimeout();
+            return;
+        }
+
+        const request = pendingRequests.get(message.id);
+        if (!request) return; // Timed out or already answered
+
+        clearTimeout(request.timer);
+        pendingRequests.delete(message.id);
+        if (message.error) {
+            request.reject(new Error(`${name} worker: ${message.error}`));
+        } else {
+            request.resolve(normalizeResult(message.result));
+        }
+        armRequestTimeout();
+    });
+
+    child.stdin.on('error', (error) => {
+        console.error(`❌ ${name} worker input error:`, error.message);
+    });
+
+    child.on('error', (error) => {
+        console.error(`❌ Failed to start ${name} worker:`, error.message);
+    });
+
+    child.on('close', (code) => {
+        clearTimeout(startupTimer);
+        if (worker !== child) return; // Replaced after a timeout
+        worker = null;
+
+        if (!isWorkerReady) {
+            // The model never loaded; restarting straight away would only fail again
+            console.error(`❌ ${name} worker exited with code ${code} before it was ready`);
+            rejectAllRequests(new Error(`${name} worker failed to start`));
+            return;
+        }
+
+        console.error(`⚠️ ${name} worker exited with code ${code}, restarting...`);
+
+        // The file it was working on may be what killed it, so only retry that one a limited number of times
+        const [current] = pendingRequests.values();
+        if (current && ++current.crashes >= MAX_WORKER_ATTEMPTS) {
+            failRequest(current, new Error(`${name} worker exited while transcribing ${current.audioFilePath}`));
+        }
+        resendPendingRequests();
+    });
+}
+
+/**
+ * Send a request to the worker
+ */
+function sendRequest(request) {
+    worker.stdin.write(JSON.stringify({
+        id: request.id,
+        audio_file: request.audioFilePath,
+        language: request.language,
+        prompt: request.prompt
+    }) + '\n');
+}
+
+/**
+ * Start a fresh worker and hand it every request that is still waiting
+ */
+function resendPendingRequests() {
+    pendingRequests.forEach(request => {
+        clearTimeout(request.timer);
+        request.timer = null;
+    });
+    startWorker();
+    pendingRequests.forEach(sendRequest);
+}
+
+/**
+ * Remove a request and reject it
+ */
+function failRequest(request, error) {
+    clearTimeout(request.timer);
+    pendingRequests.delete(request.id);
+    request.reject(error);
+}
+
+/**
+ * Reject every waiting request
+ */
+function rejectAllRequests(error) {
+    pendingRequests.forEach(request => failRequest(request, error));
+}
+
+/**
+ * Start the timeout of the request the worker is working on.
+ * The worker handles requests in order, so that is the oldest one; the clock
+ * only starts once it gets there, so a long queue doesn't time out.
+ */
+function armRequestTimeout() {
+    const [current] = pendingRequests.values();
+    if (!current || !isWorkerReady || current.timer) return;
+
+    current.timer = setTimeout(() => {
+        console.error(`⏱️ ${WORKER_BACKEND.name} worker timed out on ${current.audioFilePath}, restarting it...`);
+        failRequest(current, new Error(`Transcription timed out after ${TRANSCRIBE_TIMEOUT_MS / 1000}s`));
+
+        // The worker is stuck on that file, so replace it
+        const child = worker;
+        worker = null;
+        if (child) child.kill();
+        resendPendingRequests();
+    }, TRANSCRIBE_TIMEOUT_MS);
+}
+
+/**
+ * Python Whisper or Vosk through the long-lived worker
+ */
+function transcribeWithWorker(audioFilePath, language, prompt) {
+    startWorker();
+
+    return new Promise((resolve, reject) => {
+        const request = { id: nextRequestId++, audioFilePath, language, prompt, resolve, reject, crashes: 0, timer: null };
+        pendingRequests.set(request.id, request);
+        sendRequest(request);
+        armRequestTimeout();
+    });
+}
+
+/**
+ * whisper.cpp binary, reading the JSON file it writes next to the audio
+ */
+async function transcribeWithWhisperCpp(audioFilePath, language, prompt) {
+    const outputBase = audioFilePath.replace(/\.wav$/i, '') + '_whispercpp';
+    const outputPath = `${outputBase}.json`;
+    const args = ['-m', WHISPER_CPP_MODEL, '-f', audioFilePath, '-l', language || 'auto', '-oj', '-of', outputBase, '-np'];
+    if (prompt) args.push('--prompt', prompt);
+
+    try {
+        await runCommand(WHISPER_CPP_BIN, args);
+        const result = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+        const segments = (result.transcription || []).map(({ offsets, text }) => ({
+            start: offsets.from,
+            end: offsets.to,
+            text
+        }));
+
+        return normalizeResult({
+            text: segments.map(({ text }) => text.trim()).join(' '),
+            language: result.result ? result.result.language : null,
+            segments
+        });
+    } finally {
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    }
+}
+
+/**
+ * OpenAI-compatible HTTP endpoint
+ */
+async function transcribeWithHttp(audioFilePath, language, prompt) {
+    const form = new FormData();
+    form.append('file', new Blob([fs.readFileSync(audioFilePath)], { type: 'audio/wav' }), path.basename(audioFilePath));
+    form.append('model', TRANSCRIBE_HTTP_MODEL);
+    form.append('response_format', 'verbose_json');
+    if (language) form.append('language', language);
+    if (prompt) form.append('prompt', prompt);
+
+    const response = await fetch(`${TRANSCRIBE_HTTP_URL}/audio/transcriptions`, {
+        method: 'POST',
+        headers: TRANSCRIBE_HTTP_API_KEY ? { Authorization: `Bearer ${TRANSCRIBE_HTTP_API_KEY}` } : {},
+        body: form
+    });
+
+    if (!response.ok) {
+        throw new Error(`Transcription endpoint returned ${response.status}: ${(await response.text()).slice(0, 500)}`);
+    }
+
+    const result = await response.json();
+    return normalizeResult({
+        text: result.text,
+        language: result.language,
+        // verbose_json segment times are in seconds
+        segments: (result.segments || []).map(({ start, end, text }) => ({ start: start * 1000, end: end * 1000, text }))
+    });
+}
+
+const BACKENDS = {
+    'whisper': transcribeWithWorker,
+    'whisper-cpp': transcribeWithWhisperCpp,
+    'vosk': transcribeWithWorker,
+    'http': transcribeWithHttp
+};
+
+/**
+ * Whether the configured backend can be told to transcribe a language. Whisper backends
+ * check Whisper's own list; the others accept any language code known to Intl.
+ * @param {string} code - Language code, e.g. "es"
+ * @returns {boolean} True if the code can be used as a transcription language
+ */
+function isSupportedLanguage(code) {
+    const language = code.toLowerCase();
+    if (TRANSCRIBE_BACKEND === 'whisper' || TRANSCRIBE_BACKEND === 'whisper-cpp') {
+        return WHISPER_LANGUAGES.has(language);
+    }
+
+    try {
+        return Boolean(new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(language));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Transcribe an audio file with the configured backend
+ * @param {string} audioFilePath - 16kHz mono WAV file
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language code of the speech, or "auto" to detect it
+ * @param {string|null} [options.prompt] - Text that hints at vocabulary and spelling
+ * @returns {Promise<{text: string, language: string|null, segments: Array<{start: number, end: number, text: string}>}>} Transcription
+ */
+async function transcribe(audioFilePath, { language = 'auto', prompt = null } = {}) {
+    const backend = BACKENDS[TRANSCRIBE_BACKEND];
+    if (!backend) {
+        throw new Error(`Unknown TRANSCRIBE_BACKEND "${TRANSCRIBE_BACKEND}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    console.log(`🔄 Transcribing audio with ${TRANSCRIBE_BACKEND}: ${audioFilePath}`);
+    const result = await backend(audioFilePath, language === 'auto' ? null : language, prompt);
+    console.log(`✅ ${TRANSCRIBE_BACKEND} transcription completed`);
+    return result;
+}
+
+/**
+ * Start the configured backend's long-running process, if it has one, so the
+ * first meeting doesn't wait for the model to load
+ */
+function startTranscriptionBackend() {
+    if (WORKER_BACKENDS[TRANSCRIBE_BACKEND]) {
+        startWorker();
+    }
+}
+
+module.exports = {
+    transcribe,
+    isSupportedLanguage,
+    startTranscriptionBackend
+};
@@ -4,7 +4,7 @@
  * Works with personal Google Drive accounts.
  *
  * Usage:
- *   node uploader.js                  # Upload all files in Summary/
+ *   node uploader.js                  # Upload all files in Summary/ (and Archive/, if archiving is on)
  *   node uploader.js <filename>       # Upload a specific file
  *   node uploader.js --watch          # Watch folder for new files
  */
@@ -14,6 +14,7 @@ const fs = require('fs');
 const path = require('path');
 const { google } = require('googleapis');
 const mime = require('mime-types');
+const { isArchiveEnabled, listArchivedFiles } = require('./archive.js');
 
 // --- Config ---
 const SCOPES = ['https://www.googleapis.com/auth/drive.file'];
@@ -57,6 +58,11 @@ async function authorize() {
         }
     }
 
+    // Without a terminal (e.g. run by the bot's upload job) nobody can enter the code, so fail instead of waiting
+    if (!process.stdin.isTTY) {
+        throw new Error('Google Drive is not authorized. Run "npm run upload" in a terminal to authorize it.');
+    }
+
     // Generate new token
     const authUrl = oAuth2Client.generateAuthUrl({
         access_type: 'offline',
@@ -94,11 +100,12 @@ async function initializeDrive() {
 
 /**
  * Upload file
+ * @param {Object} [options]
+ * @param {boolean} [options.skipExisting] - Leave files that are already in Drive untouched
  */
-async function uploadFileToDrive(drive, filePath) {
+async function uploadFileToDrive(drive, filePath, { skipExisting = false } = {}) {
     const fileName = path.basename(filePath);
     const mimeType = mime.lookup(filePath) || 'application/octet-stream';
-    const fileStream = fs.createReadStream(filePath);
 
     // Step 1: Check if file already exists in folder
     const existing = await drive.files.list({
@@ -107,20 +114,23 @@ async function uploadFileToDrive(drive, filePath) {
     });
 
     let fileId;
-    if (existing.data.files.length > 0) {
+    if (existing.data.files.length > 0 && skipExisting) {
+        console.log(`⏭️ Already uploaded, skipping: ${fileName}`);
+        return;
+    } else if (existing.data.files.length > 0) {
         fileId = existing.data.files[0].id;
         console.log(`♻️ Found existing file, updating: ${fileName}`);
 
         // Step 2: Update existing file content
         await drive.files.update({
             fileId,
-            media: { mimeType, body: fileStream },
+            media: { mimeType, body: fs.createReadStream(filePath) },
         });
     } else {
         console.log(`📤 Uploading new file: ${fileName}`);
         const res = await drive.files.create({
             requestBody: { name: fileName, parents: [FOLDER_ID] },
-            media: { mimeType, body: fileStream },
+            media: { mimeType, body: fs.createReadStream(filePath) },
             fields: 'id, webViewLink',
         });
         fileId = res.data.id;
@@ -137,18 +147,35 @@ async function uploadAllSummaries(drive) {
     );
 
     if (files.length === 0) {
-        console.log('ℹ️ No files found to upload.');
-        return;
+        console.log('ℹ️ No summary files found to upload.');
+    } else {
+        console.log(`📁 Found ${files.length} file(s) to upload.\n`);
+        for (const file of files) {
+            await uploadFileToDrive(drive, path.join(SUMMARY_FOLDER, file));
+        }
     }
 
-    console.log(`📁 Found ${files.length} file(s) to upload.\n`);
-    for (const file of files) {
-        await uploadFileToDrive(drive, path.join(SUMMARY_FOLDER, file));
-    }
+    await uploadArchive(drive);
 
     console.log('🎉 All uploads completed!');
 }
 
+/**
+ * Upload archived meeting audio
+ * Archived files never change, so ones already in Drive are skipped
+ */
+async function uploadArchive(drive) {
+    if (!isArchiveEnabled()) return;
+
+    const files = listArchivedFiles();
+    if (files.length === 0) return;
+
+    console.log(`🗄️ Syncing ${files.length} archived audio file(s).\n`);
+    for (const filePath of files) {
+        await uploadFileToDrive(drive, filePath, { skipExisting: true });
+    }
+}
+
 /**
  * Watch folder for new files
  */